@@ -4,32 +4,51 @@
  * routing, and virtual DOM rendering.
  */
 
-import { createVirtualElement, focusElement } from "../framework/dom.js";
+import { createVirtualElement, createRef, focusElement } from "../framework/dom.js";
 import { createApp } from "../framework/app.js";
+import { push, removeById, removeWhere, updateById } from "../framework/state.js";
+import { createHistory } from "../framework/history.js";
 
 /**
- * Main application instance created with the mini-framework
+ * Main application instance created with the mini-framework.
+ * Todos are kept in localStorage, so they survive a reload.
  * @type {Object}
  */
-const app = createApp("body");
+const app = createApp("body", {
+  persist: { key: "todos-mini-framework", keys: ["todos", "nextId"] },
+});
 let editHandled = false;
 
+/**
+ * Ref to the input of the todo being edited
+ * @type {{current: HTMLInputElement|null}}
+ */
+const editInputRef = createRef();
+
 /**
  * Initialize TodoMVC application state
  * @typedef {Object} TodoState
  * @property {Array<Todo>} todos - Array of todo items
- * @property {string} filter - Current filter: "all", "active", or "completed"
  * @property {number} nextId - Next available ID for new todos
  * @property {number|null} editingId - ID of the todo currently being edited
  * @property {number|null} focusEditTodo - ID of the todo that should receive focus
+ * @property {string} newTodo - Text typed into the new todo input
+ * @property {string} editText - Text of the todo being edited
+ * @property {number} activeCount - Number of todos left to do (computed)
+ * @property {number} completedCount - Number of completed todos (computed)
+ * @property {boolean} allCompleted - Whether there are todos and all of them are completed (computed)
  */
 app.setState({
   todos: [],
-  filter: "all",
   nextId: 1,
   editingId: null,
   focusEditTodo: null,
+  newTodo: "",
+  editText: "",
 });
+app.store.addComputed("activeCount", ["todos"], (todos) => todos.filter((todo) => !todo.completed).length);
+app.store.addComputed("completedCount", ["todos", "activeCount"], (todos, activeCount) => todos.length - activeCount);
+app.store.addComputed("allCompleted", ["todos", "activeCount"], (todos, activeCount) => todos.length > 0 && activeCount === 0);
 
 /**
  * Todo item type definition
@@ -40,19 +59,20 @@ app.setState({
  */
 
 /**
- * Set up application routing with filter handlers
+ * Set up application routing, each filter route renders the whole app
  */
 app
-  .addRoute("/", () => setFilter("all"))
-  .addRoute("/active", () => setFilter("active"))
-  .addRoute("/completed", () => setFilter("completed"));
+  .addRoute("/", { render: renderApp })
+  .addRoute("/active", { render: renderApp })
+  .addRoute("/completed", { render: renderApp });
 
 /**
- * Sets the current todo filter and updates application state
- * @param {string} filter - The filter to apply: "all", "active", or "completed"
+ * Reads the current todo filter from the active route
+ * @returns {string} The active filter: "all", "active", or "completed"
  */
-function setFilter(filter) {
-  app.setState({ filter: filter });
+function getFilter() {
+  const path = app.route ? app.route.path : "/";
+  return path === "/" ? "all" : path.substring(1);
 }
 
 /**
@@ -63,7 +83,7 @@ function renderApp() {
 
   const state = app.getState();
 
-  const visibleTodos = getFilteredTodos(state.todos, state.filter);
+  const visibleTodos = getFilteredTodos(state.todos, getFilter());
 
   return [
     createVirtualElement("aside", { class: "learn" }, "", sidebar()),
@@ -98,9 +118,9 @@ function renderHeader() {
             type: "text",
             "data-testid": "text-input",
             placeholder: "What needs to be done?",
-            value: "",
+            bind: "newTodo",
             autofocus: "",
-            onkeydown: handleNewTodoKeydown,
+            "onkeydown.enter": handleNewTodoEnter,
           },
           "",
           []
@@ -120,48 +140,29 @@ function renderHeader() {
 }
 
 /**
- * Handles keydown events for the new todo input field
- * Creates a new todo when Enter is pressed with valid input
- * @param {KeyboardEvent} e - The keyboard event
+ * Handles Enter in the new todo input field
+ * Creates a new todo when the input is valid
  */
-function handleNewTodoKeydown(e) {
-  if (e.key === "Enter" && e.target.value.trim()) {
-    if (addTodo(e.target.value.trim())) {
-      e.target.value = "";
-      setTimeout(() => {
-        focusElement(".new-todo");
-      }, 0);
-    }
+function handleNewTodoEnter() {
+  const title = app.getState().newTodo.trim();
+  if (title && addTodo(title)) {
+    // The input is patched in place, so it keeps focus across the re-render
+    app.setState({ newTodo: "" });
   }
 }
 
 /**
  * Renders the main section containing the todo list and toggle-all functionality
  * @param {Array<Todo>} visibleTodos - Array of todos to display based on current filter
- * @returns {Object} Virtual element representing the main section
+ * @returns {Object|null} Virtual element representing the main section, or null without todos
  */
 function renderMain(visibleTodos) {
   const state = app.getState();
 
   if (!state.todos || state.todos.length === 0) {
-    return createVirtualElement(
-      "main",
-      { class: "main", "data-testid": "main" },
-      "",
-      [
-        createVirtualElement(
-          "ul",
-          { class: "todo-list", "data-testid": "todo-list" },
-          "",
-          []
-        ),
-      ]
-    );
+    return null;
   }
 
-  const allCompleted =
-    state.todos.length > 0 && state.todos.every((todo) => todo.completed);
-
   return createVirtualElement(
     "main",
     { class: "main", "data-testid": "main" },
@@ -175,7 +176,7 @@ function renderMain(visibleTodos) {
             class: "toggle-all",
             type: "checkbox",
             "data-testid": "toggle-all",
-            checked: allCompleted,
+            checked: state.allCompleted,
             onchange: handleToggleAll,
           },
           "",
@@ -195,23 +196,24 @@ function renderMain(visibleTodos) {
         "ul",
         { class: "todo-list", "data-testid": "todo-list" },
         "",
-        (visibleTodos || []).map((todo) => renderTodoItem(todo))
+        (visibleTodos || []).map((todo) =>
+          createVirtualElement(TodoItem, { key: todo.id, todo: todo }, "", [])
+        )
       ),
     ]
   );
 }
 
 /**
- * Renders an individual todo item with toggle, edit, and delete functionality
- * @param {Todo} todo - The todo item to render
+ * Todo item component with toggle, edit, and delete functionality.
+ * It only re-renders when its todo object or its own editing flag changes.
+ * @param {Object} props - Component props
+ * @param {Todo} props.todo - The todo item to render
+ * @param {Component} component - Component instance
  * @returns {Object} Virtual element representing a single todo item
  */
-function renderTodoItem(todo) {
-  const state = app.getState();
-  const isEditing = state.editingId === todo.id;
-  const classes = [];
-  if (todo.completed) classes.push("completed");
-  if (isEditing) classes.push("editing");
+function TodoItem({ todo }, component) {
+  const isEditing = component.select((state) => state.editingId === todo.id);
 
   const children = [
     createVirtualElement("div", { class: "view" }, "", [
@@ -255,8 +257,10 @@ function renderTodoItem(todo) {
         "input",
         {
           class: "edit",
-          value: todo.title,
-          onkeydown: (e) => handleEditKeydown(e, todo.id),
+          ref: editInputRef,
+          bind: "editText",
+          "onkeydown.enter.prevent.stop": () => handleEditEnter(todo.id),
+          "onkeydown.escape": handleEditEscape,
           onblur: () => {
             if (editHandled) {
               editHandled = false;
@@ -264,7 +268,6 @@ function renderTodoItem(todo) {
             }
             editHandled = false;
             app.setState({editingId: null, focusEditTodo: null})
-            console.log("onblur activated");
           }
         },
         "",
@@ -278,7 +281,7 @@ function renderTodoItem(todo) {
     {
       "data-id": todo.id.toString(),
       "data-testid": "todo-item",
-      class: classes.join(" "),
+      class: { completed: todo.completed, editing: isEditing },
     },
     "",
     children
@@ -293,99 +296,83 @@ function handleToggleAll() {
 }
 
 /**
- * Handles keydown events during todo editing
- * @param {KeyboardEvent} e - The keyboard event
+ * Handles Enter during todo editing by saving the edit
  * @param {number} todoId - ID of the todo being edited
  */
-function handleEditKeydown(e, todoId) {
-  if (e.key === "Enter") {
+function handleEditEnter(todoId) {
+  if (editHandled) return;
 
-    if (editHandled) return;
+  editHandled = true;
+  editTodo(todoId, app.getState().editText);
+}
 
-    editHandled = true;
-    editTodo(todoId, e.target.value);
-    e.preventDefault();
-    e.stopPropagation();
-  }
-  if (e.key === "Escape") {
-    app.setState({
-      editingId: null,
-      focusEditTodo: null,
-    });
-  }
+/**
+ * Handles Escape during todo editing by discarding the edit
+ */
+function handleEditEscape() {
+  app.setState({
+    editingId: null,
+    focusEditTodo: null,
+  });
 }
 
 /**
  * Renders the footer section with todo count, filters, and clear completed button
- * @returns {Object} Virtual element representing the footer
+ * @returns {Object|null} Virtual element representing the footer, or null without todos
  */
 function renderFooter() {
   const state = app.getState();
+  const filter = getFilter();
 
   if (!state.todos || state.todos.length === 0) {
-    return createVirtualElement(
-      "footer",
-      { class: "footer", style: "display: none;" },
-      "",
-      []
-    );
+    return null;
   }
 
-  const activeCount = (state.todos || []).filter(
-    (todo) => !todo.completed
-  ).length;
-  const completedCount = (state.todos || []).filter(
-    (todo) => todo.completed
-  ).length;
+  const { activeCount, completedCount } = state;
   const itemText = activeCount === 1 ? "item" : "items";
 
   return createVirtualElement(
     "footer",
-    { class: "footer", "data-testid": "footer", style: "display: block;" },
+    { class: "footer", "data-testid": "footer" },
     "",
     [
       createVirtualElement("span", { class: "todo-count" }, "", [
         createVirtualElement("strong", {}, activeCount.toString(), []),
-        createVirtualElement("span", {}, ` ${itemText} left!`, []),
+        ` ${itemText} left!`,
       ]),
       createVirtualElement("ul", { class: "filters", "data-testid": "footer-navigation" }, "", [
-        renderFilterLink("All", "#/", state.filter === "all"),
-        renderFilterLink("Active", "#/active", state.filter === "active"),
+        renderFilterLink("All", app.href("/"), filter === "all"),
+        renderFilterLink("Active", app.href("/active"), filter === "active"),
         renderFilterLink(
           "Completed",
-          "#/completed",
-          state.filter === "completed"
+          app.href("/completed"),
+          filter === "completed"
         ),
       ]),
       createVirtualElement(
         "button",
         {
           class: "clear-completed",
-          disabled: completedCount === 0 ? "" : undefined,
+          disabled: completedCount === 0,
           onclick: completedCount > 0 ? clearCompleted : undefined,
         },
         "Clear completed",
         []
       ),
-    ].filter(Boolean)
+    ]
   );
 }
 
 /**
  * Helper function to render filter navigation links
  * @param {string} text - Display text for the link
- * @param {string} href - URL hash for the link
+ * @param {string} href - Link href built with app.href()
  * @param {boolean} isSelected - Whether this filter is currently active
  * @returns {Object} Virtual element representing a filter link
  */
 function renderFilterLink(text, href, isSelected) {
-  const linkAttributes = { href: href };
-  if (isSelected) {
-    linkAttributes.class = "selected";
-  }
-
   return createVirtualElement("li", {}, "", [
-    createVirtualElement("a", linkAttributes, text, []),
+    createVirtualElement("a", { href: href, class: { selected: isSelected } }, text, []),
   ]);
 }
 
@@ -502,21 +489,13 @@ function getFilteredTodos(todos, filter) {
  * @returns {boolean} True if todo was added successfully, false otherwise
  */
 function addTodo(title) {
-  console.log("addTodo function");
   if (title.length < 2) {
     return false;
   }
-  const currentState = app.getState();
-  const newTodo = {
-    id: currentState.nextId,
-    title: title,
-    completed: false,
-  };
-
-  app.setState({
-    todos: [...currentState.todos, newTodo],
-    nextId: currentState.nextId + 1,
-  });
+  app.setState((state) => ({
+    todos: push(state.todos, { id: state.nextId, title: title, completed: false }),
+    nextId: state.nextId + 1,
+  }));
   return true;
 }
 
@@ -525,12 +504,7 @@ function addTodo(title) {
  * @param {number} id - The ID of the todo to toggle
  */
 function toggleTodo(id) {
-  const state = app.getState();
-  const updatedTodos = (state.todos || []).map((todo) =>
-    todo.id === id ? { ...todo, completed: !todo.completed } : todo
-  );
-
-  app.setState({ todos: updatedTodos });
+  app.setState("todos", (todos) => updateById(todos, id, (todo) => ({ ...todo, completed: !todo.completed })));
 }
 
 /**
@@ -539,28 +513,22 @@ function toggleTodo(id) {
  * @param {string} newTitle - The new title for the todo
  */
 function editTodo(id, newTitle) {
-  console.log("editTodo function");
   const trimmedTitle = newTitle.trim();
 
-  if (trimmedTitle.length < 2) {
-    return;
-  }
-
   if (trimmedTitle === "") {
     deleteTodo(id);
     return;
   }
 
-  const state = app.getState();
-  const updatedTodos = (state.todos || []).map((todo) =>
-    todo.id === id ? { ...todo, title: trimmedTitle } : todo
-  );
+  if (trimmedTitle.length < 2) {
+    return;
+  }
 
-  app.setState({
-    todos: updatedTodos,
+  app.setState((state) => ({
+    todos: updateById(state.todos, id, { title: trimmedTitle }),
     editingId: null,
     focusEditTodo: null,
-  });
+  }));
 }
 
 /**
@@ -568,25 +536,24 @@ function editTodo(id, newTitle) {
  * @param {number} id - The ID of the todo to delete
  */
 function deleteTodo(id) {
-  const state = app.getState();
-  const updatedTodos = (state.todos || []).filter((todo) => todo.id !== id);
-  app.setState({ todos: updatedTodos });
+  app.setState("todos", (todos) => removeById(todos, id));
 }
 
 /**
  * Enters edit mode for a specific todo
  * @param {number} id - The ID of the todo to start editing
  */
-function startEditing(id) {
+async function startEditing(id) {
+  const todo = app.getState().todos.find((item) => item.id === id);
   app.setState({
     editingId: id,
     focusEditTodo: id,
+    editText: todo ? todo.title : "",
   });
 
-  // Focus the edit input after the DOM updates and position cursor at end
-  setTimeout(() => {
-    focusElement(".edit", "end");
-  }, 0);
+  // Focus the edit input once it is rendered and position cursor at end
+  await app.nextRender();
+  focusElement(editInputRef, "end");
 }
 
 /**
@@ -596,12 +563,9 @@ function startEditing(id) {
  */
 function toggleAll() {
   const state = app.getState();
-  const allCompleted =
-    (state.todos || []).length > 0 &&
-    (state.todos || []).every((todo) => todo.completed);
   const updatedTodos = (state.todos || []).map((todo) => ({
     ...todo,
-    completed: !allCompleted,
+    completed: !state.allCompleted,
   }));
 
   app.setState({ todos: updatedTodos });
@@ -611,16 +575,24 @@ function toggleAll() {
  * Removes all completed todos from the list
  */
 function clearCompleted() {
-  const state = app.getState();
-  const activeTodos = (state.todos || []).filter((todo) => !todo.completed);
-  app.setState({ todos: activeTodos });
+  app.setState("todos", (todos) => removeWhere(todos, (todo) => todo.completed));
 }
 
 /**
  * Initialize and start the application
- * Sets the render function and initializes the app with routing
+ * The active route renders the app, so no separate render function is needed
  */
 
-app.setRenderFunction(renderApp);
-
 app.init();
+
+/**
+ * Undo history of the todo list, created after init so restoring the stored
+ * todos isn't an undoable step. Editing and input flags are not recorded.
+ * @type {StateHistory}
+ */
+const todoHistory = createHistory(app.store, {
+  ignore: ["editingId", "focusEditTodo", "newTodo", "editText"],
+});
+app.addShortcut("mod+z", () => todoHistory.undo());
+app.addShortcut("mod+shift+z", () => todoHistory.redo());
+app.addShortcut("mod+y", () => todoHistory.redo());
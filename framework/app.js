@@ -5,23 +5,41 @@
  */
 
 // Import and re-export all framework components
-import { globalStorage } from "./state.js";
-import { updateDom } from "./dom.js";
-import { addRoute, executeRoute } from "./route.js";
+import { State } from "./state.js";
+import { Renderer } from "./dom.js";
+import { Router } from "./route.js";
+import { Scheduler } from "./scheduler.js";
+import { matchesKeyCombo } from "./events.js";
+import { persistState } from "./persist.js";
 
 /** @constant {string} Framework version */
 const VERSION = "1.0.0";
 
 /**
- * Core application class that manages the entire application lifecycle
+ * Core application class that manages the entire application lifecycle.
+ * Every App owns its state, route table, scheduler and renderer, so several
+ * apps can be mounted on the same page without affecting each other.
  * @class App
  */
 class App {
   /**
    * Creates a new App instance
    * @param {string} [rootSelector] - CSS selector for the root element
+   * @param {Object} [options] - Application options
+   * @param {string} [options.scheduler="microtask"] - When batched renders run: "microtask" (end of the
+   * current tick), "frame" (next animation frame) or "sync" (on every setState)
+   * @param {string} [options.router="hash"] - "hash" for #/ URLs, "history" for clean pushState paths
+   * @param {string} [options.base=""] - Base path the app is served from, in history mode
+   * @param {Function} [options.loadingView] - render(route) shown while a lazy route loads
+   * @param {Function} [options.errorView] - render(route, error) shown when a lazy route fails to load
+   * @param {Function} [options.onNavigationError] - Called with the error when a navigation the app starts
+   * on its own (initial route, back/forward, link clicks) fails; console.error by default
+   * @param {State} [options.state] - State instance to use, e.g. to share one between apps; a new one by default
+   * @param {boolean} [options.dev=false] - Development mode: report hydration mismatches in the console
+   * @param {Object} [options.persist] - Persistence options (see Persistence): saves the listed state keys
+   * to storage and restores them when the app is initialized
    */
-  constructor(rootSelector) {
+  constructor(rootSelector, options = {}) {
     /** @type {Element|null} Root DOM element */
     this.rootElement = null;
     /** @type {string} CSS selector for root element */
@@ -30,6 +48,44 @@ class App {
     this.renderFunction = null;
     /** @type {boolean} Initialization state flag */
     this.isInitialized = false;
+    /** @type {State} Application state */
+    this.store = options.state || new State();
+    /** @type {Scheduler} Scheduler batching renders triggered by state changes */
+    this.scheduler = new Scheduler(options.scheduler);
+    /** @type {Renderer} Renderer keeping this app's DOM in sync with its vDOM */
+    this.renderer = new Renderer(this.store, this.scheduler, { dev: options.dev });
+    /** @type {boolean} Whether the next render adopts pre-rendered markup */
+    this.shouldHydrate = false;
+    /** @type {Function} Render job queued on the scheduler */
+    this.renderJob = () => this.render();
+    /** @type {Router} Client-side router */
+    this.router = new Router({
+      mode: options.router,
+      base: options.base,
+      loadingView: options.loadingView,
+      errorView: options.errorView,
+      onError: options.onNavigationError,
+      onChange: () => this.scheduleRender(),
+    });
+    /** @type {Array<Object>} Registered keyboard shortcuts */
+    this.shortcuts = [];
+    /** @type {Function|null} Document keydown listener dispatching shortcuts */
+    this.shortcutListener = null;
+    /** @type {Persistence|null} Saves and restores persisted state keys */
+    this.persistence = options.persist ? persistState(this.store, options.persist) : null;
+    /** @type {boolean} Whether the initial render waits for persisted state to be restored */
+    this.isRestoring = false;
+    // Re-render on state changes, batched so several setState calls render once. Each app
+    // registers its own callback, so apps sharing a State all follow it.
+    this.store.onUpdate(() => this.scheduleRender());
+  }
+
+  /**
+   * The active route, so render functions can read it instead of mirroring it in state
+   * @type {{route: string|null, url: string, path: string, params: Object, query: Object}|null}
+   */
+  get route() {
+    return this.router.current;
   }
 
   /**
@@ -43,28 +99,94 @@ class App {
       throw new Error("Render function must be a function");
     }
     this.renderFunction = renderFn;
-    // Set up automatic re-rendering
-    globalStorage.setUpdateCallback(() => this.render());
     return this;
   }
 
   /**
    * Adds a route to the application router
-   * @param {string} path - Route path pattern
-   * @param {Function} handler - Route handler function
+   * @param {string} path - Route path pattern, e.g. "/user/:id", "/posts/:page?" or "/files/*"
+   * @param {Function|Object} handler - Route handler function, receives { route, url, path, params, query };
+   * or a route definition object ({ handler, render, children, beforeEnter, beforeLeave })
+   * @param {Object} [options] - Route options, see Router#addRoute
+   * @param {Function} [options.beforeEnter] - Async guard run before entering the route
+   * @param {Function} [options.beforeLeave] - Async guard run before leaving the route
+   * @param {Function} [options.render] - Renders the route, called as render(route, outlet)
+   * @param {Array<Object>} [options.children] - Nested routes rendered into this route's outlet
+   * @returns {App} Returns this App instance for method chaining
+   */
+  addRoute(path, handler, options) {
+    this.router.addRoute(path, handler, options);
+    return this;
+  }
+
+  /**
+   * Redirects one route pattern to another path
+   * @param {string} path - Route path pattern to redirect from
+   * @param {string|Function} target - Path to redirect to (":name" placeholders are filled from
+   * the matched params), or a function receiving the match object and returning the path
+   * @returns {App} Returns this App instance for method chaining
+   */
+  redirect(path, target) {
+    this.router.addRedirect(path, target);
+    return this;
+  }
+
+  /**
+   * Sets the handler for URLs that match no route. The URL is kept as typed.
+   * @param {Function|Object} handler - Function receiving a match object whose route is null; or a
+   * route definition ({ handler, render, beforeEnter, beforeLeave }), whose render shows the
+   * not-found page in apps rendered by their routes
    * @returns {App} Returns this App instance for method chaining
    */
-  addRoute(path, handler) {
-    addRoute(path, handler);
+  notFound(handler) {
+    this.router.setNotFound(handler);
     return this;
   }
 
+  /**
+   * Renders the active route chain, for render functions that wrap routed content
+   * @returns {Object|Array<Object>|null} Virtual element(s) rendered by the matched routes
+   * @example
+   * app.setRenderFunction(() =>
+   *   createVirtualElement("div", { class: "page" }, "", [renderNav(), app.renderRoute()])
+   * );
+   */
+  renderRoute() {
+    return this.router.render();
+  }
+
+  /**
+   * Navigates to an app path without reloading the page
+   * @param {string} path - App path such as "/active" or "/user/42?tab=posts"
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing one
+   * @returns {Promise<Object|null>} Match object of the new route, or null if a guard cancelled it
+   */
+  navigate(path, options) {
+    return this.router.navigate(path, options);
+  }
+
+  /**
+   * Builds a link href for an app path in the configured router mode
+   * @param {string} path - App path such as "/active"
+   * @returns {string} "#/active" in hash mode, or the base path plus "/active" in history mode
+   */
+  href(path) {
+    return this.router.href(path);
+  }
+
   /**
    * Initializes the application by setting up DOM, routes, and event listeners
+   * @param {Object} [options] - Initialization options
+   * @param {boolean} [options.hydrate=false] - Adopt markup already inside the root element (e.g. from
+   * renderToString) instead of clearing it; listeners are attached to the existing nodes
    * @returns {App} Returns this App instance for method chaining
    * @throws {Error} Throws if root element is not found
+   * @example
+   * // index.html contains <div id="app"> with the server-rendered markup
+   * createApp("#app", { dev: true }).setRenderFunction(renderApp).init({ hydrate: true });
    */
-  init() {
+  init(options = {}) {
     if (this.isInitialized) {
       console.warn("App already initialized");
       return this;
@@ -78,68 +200,244 @@ class App {
       );
     }
 
-    // Set up hash change listener
-    window.addEventListener("hashchange", () => {
-      executeRoute(window.location.hash);
-    });
+    // In history mode, links rendered by the framework navigate without a page load
+    if (this.router.mode === "history") {
+      // Delegated onclick handlers are installed on the root first so they can preventDefault() a navigation
+      this.renderer.events.addRoot(this.rootElement);
+      this.renderer.events.listen("click");
+      this.rootElement.addEventListener("click", (event) => {
+        const link = event.target.closest ? event.target.closest("a[href]") : null;
+        if (link && this.renderer.getVirtualElement(link)) {
+          this.router.handleLinkClick(event, link);
+        }
+      });
+    }
 
-    // Execute initial route
-    executeRoute(window.location.hash || "#/");
+    // Listen to location changes and execute the initial route. Apps without
+    // routes (e.g. widgets sharing a page) leave the URL alone.
+    if (this.router.routes.size > 0 || this.router.notFoundRoute) {
+      this.router.start().catch((error) => this.router.reportError(error));
+    }
 
     this.isInitialized = true;
+    this.shouldHydrate = Boolean(options.hydrate);
     console.log(`App initialized (v${VERSION})`);
 
-    // Initial render
+    // Initial render, with the persisted state restored. Asynchronous storage
+    // such as IndexedDB delays it, so the default state is never shown. Restoring
+    // reports its own errors and falls back to the defaults, so the app always renders.
+    if (this.persistence) {
+      const restoring = this.persistence.restore();
+      if (!this.persistence.isRestored) {
+        this.isRestoring = true;
+        restoring
+          .then(() => {
+            this.isRestoring = false;
+            this.render();
+          })
+          .catch((error) => console.error("Error: initial render failed", error));
+        return this;
+      }
+    }
     this.render();
     return this;
   }
 
   /**
-   * Renders the application by executing the render function and updating the DOM
+   * Queues a render for the end of the current tick (or animation frame).
+   * State changes before the app is initialized, or while persisted state is
+   * being restored, are rendered by the initial render.
+   */
+  scheduleRender() {
+    if (this.isInitialized && !this.isRestoring) {
+      this.scheduler.schedule(this.renderJob);
+    }
+  }
+
+  /**
+   * Runs any queued render right away
+   * @returns {App} Returns this App instance for method chaining
+   * @example
+   * app.setState({ editingId: id });
+   * app.flushSync();
+   * app.focusElement(".edit");
+   */
+  flushSync() {
+    this.scheduler.flush();
+    return this;
+  }
+
+  /**
+   * Returns a promise resolved once queued renders have reached the DOM
+   * @returns {Promise<void>} Resolves after the next render, or right away if none is queued; rejects if the render threw
+   * @example
+   * app.setState({ editingId: id });
+   * await app.nextRender();
+   * app.focusElement(".edit", "end");
+   */
+  nextRender() {
+    return this.scheduler.nextFlush();
+  }
+
+  /**
+   * Renders the application by executing the render function (or, without one, the
+   * render functions of the active routes) and updating the DOM.
+   * Any render already queued by a state change is dropped, since this one supersedes it.
    * @throws {Error} Throws if no render function is set or app is not initialized
    */
   render() {
-    if (!this.renderFunction) {
-      throw new Error("No render function set. Use setRenderFunction() first.");
+    if (!this.renderFunction && !this.router.hasRenderRoutes()) {
+      throw new Error(
+        "No render function set. Use setRenderFunction() or routes with a render option first."
+      );
     }
     if (!this.rootElement) {
       throw new Error("App not initialized. Call init() first.");
     }
 
-    const vdom = this.renderFunction();
-    updateDom(this.rootElement, Array.isArray(vdom) ? vdom : [vdom]);
+    this.scheduler.cancel(this.renderJob);
+    const vdom = this.renderFunction ? this.renderFunction() : this.renderRoute();
+    const elements = Array.isArray(vdom) ? vdom : [vdom];
+    if (this.shouldHydrate) {
+      this.shouldHydrate = false;
+      this.renderer.hydrate(this.rootElement, elements);
+    } else {
+      this.renderer.updateDom(this.rootElement, elements);
+    }
+  }
+
+  /**
+   * Finds an element inside this app's root, or resolves a ref
+   * @param {string|Object|Element} selector - CSS selector string, ref object created by createRef, or element
+   * @returns {Element|null} Found element or null if not found
+   */
+  findElement(selector) {
+    return this.renderer.findElement(selector, this.rootElement);
+  }
+
+  /**
+   * Focuses an element inside this app's root, see focusElement
+   * @param {string|Object|Element} selector - CSS selector, ref object or element to focus
+   * @param {string} [cursorPosition="default"] - Cursor position: "default", "end" or "select"
+   * @returns {boolean} True if element was found and focused, false otherwise
+   */
+  focusElement(selector, cursorPosition) {
+    return this.renderer.focusElement(selector, cursorPosition, this.rootElement);
   }
 
   /**
    * Gets the current application state
-   * @returns {Object} Current state object from global storage
+   * @returns {Object} Current state object of this app
    */
   getState() {
-    return globalStorage.getState();
+    return this.store.getState();
+  }
+
+  /**
+   * Subscribes to a slice of this app's state, see State#subscribe
+   * @param {Function} selector - Function receiving the state and returning the watched slice
+   * @param {Function} callback - Called with (nextValue, previousValue) when the slice changes
+   * @returns {Function} Function that removes the subscription
+   */
+  subscribe(selector, callback) {
+    return this.store.subscribe(selector, callback);
+  }
+
+  /**
+   * Dispatches an action to this app's reducers, see State#dispatch
+   * @param {Object|*} action - Action object with a string `type`, or anything the middleware accepts
+   * @returns {*} What the middleware returns; the action itself without middleware
+   */
+  dispatch(action) {
+    return this.store.dispatch(action);
+  }
+
+  /**
+   * Registers a global keyboard shortcut, handled on document keydown wherever focus is.
+   * Shortcuts don't fire while typing in an input, textarea, select or contenteditable
+   * element unless `allowInInputs` is set, nor for events a handler already prevented.
+   * @param {string} combo - Key combination such as "ctrl+z", "shift+?", "mod+s" or "escape";
+   * "mod" is meta on Mac and ctrl elsewhere
+   * @param {Function} handler - Called with the keyboard event
+   * @param {Object} [options] - Shortcut options
+   * @param {boolean} [options.preventDefault=true] - Call preventDefault() on matching events
+   * @param {boolean} [options.allowInInputs=false] - Also fire while a form field has focus
+   * @returns {Function} Function that removes the shortcut
+   * @example
+   * const removeUndo = app.addShortcut("mod+z", undo);
+   */
+  addShortcut(combo, handler, options = {}) {
+    const shortcut = {
+      combo: combo,
+      handler: handler,
+      preventDefault: options.preventDefault !== false,
+      allowInInputs: Boolean(options.allowInInputs),
+    };
+    this.shortcuts.push(shortcut);
+    if (!this.shortcutListener) {
+      this.shortcutListener = (event) => this.handleShortcut(event);
+      document.addEventListener("keydown", this.shortcutListener);
+    }
+    return () => {
+      this.shortcuts = this.shortcuts.filter((registered) => registered !== shortcut);
+      if (this.shortcuts.length === 0 && this.shortcutListener) {
+        document.removeEventListener("keydown", this.shortcutListener);
+        this.shortcutListener = null;
+      }
+    };
+  }
+
+  /**
+   * Runs the shortcuts matching a keydown event
+   * @param {KeyboardEvent} event - Keydown event from the document
+   * @private
+   */
+  handleShortcut(event) {
+    if (event.defaultPrevented) {
+      return;
+    }
+    const target = event.target;
+    const inInput =
+      target &&
+      (["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) || target.isContentEditable);
+    for (const shortcut of this.shortcuts) {
+      if ((inInput && !shortcut.allowInInputs) || !matchesKeyCombo(event, shortcut.combo)) {
+        continue;
+      }
+      if (shortcut.preventDefault) {
+        event.preventDefault();
+      }
+      shortcut.handler(event);
+    }
   }
 
   /**
-   * Updates the application state
-   * @param {Object} newState - New state object or partial state to merge
-   * @param {boolean} [triggerUpdate=true] - Whether to trigger a re-render
-   * @returns {Object} Updated state object
+   * Updates the application state, see State#setState
+   * @param {Object|Function|string|Array} newState - Partial state to merge, a function (state) => partial state,
+   * or a path such as "todos[3].completed" followed by its value
+   * @param {...*} [args] - triggerUpdate (default true), or for a path: the value and then triggerUpdate
+   * @returns {boolean} True if the state was updated
+   * @example
+   * app.setState({ filter: "active" });
+   * app.setState("todos[0].completed", true);
    */
-  setState(newState, triggerUpdate = true) {
-    return globalStorage.setState(newState, triggerUpdate);
+  setState(newState, ...args) {
+    return this.store.setState(newState, ...args);
   }
 }
 
 /**
  * Factory function for creating new App instances
  * @param {string} [rootSelector] - CSS selector for the root element
+ * @param {Object} [options] - Application options, see the App constructor
  * @returns {App} New App instance
  * @example
  * const app = createApp('#my-app');
  * app.setRenderFunction(() => ({ tag: 'div', text: 'Hello World' }));
  * app.init();
  */
-export function createApp(rootSelector) {
-  return new App(rootSelector);
+export function createApp(rootSelector, options) {
+  return new App(rootSelector, options);
 }
 
 export { App };
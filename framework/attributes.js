@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Attribute normalization shared by the DOM renderer and renderToString
+ * @version 1.0.0
+ * @author AJA!
+ */
+
+/**
+ * @type {Set<string>} Keys applied as DOM properties, on elements that have them, because their
+ * attribute only holds the initial value
+ */
+export const PROPERTY_KEYS = new Set(["value", "checked", "selected", "muted", "indeterminate"]);
+
+/** @type {RegExp} Style properties that take a plain number, so numbers aren't given a unit */
+const UNITLESS_STYLE = /^(opacity|z-index|flex|flex-grow|flex-shrink|order|font-weight|line-height|zoom|orphans|widows|column-count|grid-row|grid-column|tab-size|--.*)$/;
+
+/**
+ * Joins a class value into a class attribute
+ * @param {string|Array|Object|null|undefined} value - A string, an array of class values, or an
+ * object whose keys are included when their value is truthy
+ * @returns {string} Space-separated class names
+ * @example
+ * normalizeClass(["todo", { completed: true, editing: false }]) // "todo completed"
+ */
+export function normalizeClass(value) {
+  if (!value) {
+    return "";
+  }
+  if (typeof value === "string") {
+    return value.trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeClass).filter(Boolean).join(" ");
+  }
+  if (typeof value === "object") {
+    return Object.keys(value)
+      .filter((name) => value[name])
+      .join(" ");
+  }
+  return String(value);
+}
+
+/**
+ * Converts a style key to its CSS property name
+ * @param {string} name - camelCase ("backgroundColor"), kebab-case or custom property ("--gap") name
+ * @returns {string} CSS property name
+ */
+export function toCssName(name) {
+  return name.startsWith("--") ? name : name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
+
+/**
+ * Converts a style value to CSS text. Numbers get "px" unless the property is unitless.
+ * @param {string} cssName - CSS property name
+ * @param {*} value - Style value
+ * @returns {string|null} CSS value, or null for null, undefined and false, which remove the property
+ */
+export function toCssValue(cssName, value) {
+  if (value === null || value === undefined || value === false) {
+    return null;
+  }
+  if (typeof value === "number" && value !== 0 && !UNITLESS_STYLE.test(cssName)) {
+    return `${value}px`;
+  }
+  return String(value);
+}
+
+/**
+ * Serializes a style object into a style attribute
+ * @param {Object} style - Style properties
+ * @returns {string} CSS declarations, e.g. "display: none; margin-top: 4px"
+ */
+export function styleToString(style) {
+  return Object.entries(style)
+    .map(([name, value]) => {
+      const cssName = toCssName(name);
+      const cssValue = toCssValue(cssName, value);
+      return cssValue === null ? null : `${cssName}: ${cssValue}`;
+    })
+    .filter(Boolean)
+    .join("; ");
+}
+
+/**
+ * Returns the markup form of an attribute value, as renderToString writes it and hydration expects it
+ * @param {string} attrName - Attribute name (not a key, binding or event handler)
+ * @param {*} attrValue - Attribute value
+ * @returns {string|null} Attribute value ("" for a bare boolean attribute), or null if it is absent
+ */
+export function serializeAttribute(attrName, attrValue) {
+  if (attrName === "class") {
+    return normalizeClass(attrValue) || null;
+  }
+  if (attrName === "style" && typeof attrValue === "object" && attrValue !== null) {
+    return styleToString(attrValue) || null;
+  }
+  if (PROPERTY_KEYS.has(attrName) && attrName !== "value") {
+    // Boolean properties only have an attribute for their initial state
+    return attrValue && attrName !== "indeterminate" ? "" : null;
+  }
+  if (attrValue === null || attrValue === undefined || attrValue === false) {
+    return null;
+  }
+  return attrValue === true ? "" : String(attrValue);
+}
@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Function component instances for the mini-framework
+ * @version 1.0.0
+ * @author AJA!
+ */
+
+import { shallowEqual } from "./state.js";
+
+/**
+ * Checks whether two props objects would render the same output.
+ * Values are compared by identity, except `children`, which is compared element by element.
+ * @param {Object} prevProps - Props of the previous render
+ * @param {Object} nextProps - Props of the new render
+ * @returns {boolean} True if the props are equivalent
+ * @private
+ */
+function propsEqual(prevProps, nextProps) {
+  const { children: prevChildren, ...prevRest } = prevProps;
+  const { children: nextChildren, ...nextRest } = nextProps;
+  return shallowEqual(prevRest, nextRest) && shallowEqual(prevChildren, nextChildren);
+}
+
+/**
+ * A mounted instance of a function component.
+ * The component function is called as `render(props, component)` on every render
+ * and receives the same instance each time, which holds its local state and lifecycle callbacks.
+ * @class Component
+ * @example
+ * function Counter(props, component) {
+ *   const state = component.useState({ count: 0 });
+ *   component.onMount(() => {
+ *     const timer = setInterval(() => component.setState((prev) => ({ count: prev.count + 1 })), 1000);
+ *     return () => clearInterval(timer);
+ *   });
+ *   return createVirtualElement("span", {}, `${props.label}: ${state.count}`, []);
+ * }
+ * createVirtualElement(Counter, { label: "Seconds" }, "", []);
+ * @example
+ * // Re-rendered only when its props or the selected slice change
+ * function TodoCount(props, component) {
+ *   const left = component.select((state) => state.todos.filter((todo) => !todo.completed).length);
+ *   return createVirtualElement("strong", {}, String(left), []);
+ * }
+ */
+export class Component {
+  /**
+   * Creates a new component instance
+   * @param {Function} renderFn - Component function returning a virtual element
+   * @param {Object} props - Attributes of the component's virtual element, plus its children
+   * @param {Function} invalidate - Called with this instance when its local state changes
+   * @param {State} store - State instance that select() reads from
+   */
+  constructor(renderFn, props, invalidate, store) {
+    /** @type {Function} Component function */
+    this.renderFn = renderFn;
+    /** @type {Object} Props of the latest render */
+    this.props = props;
+    /** @type {Object} Local state persisted across re-renders */
+    this.state = {};
+    /** @type {Object|null} Component virtual element of the latest render */
+    this.vnode = null;
+    /** @type {Object|null} Virtual element produced by the latest render */
+    this.rendered = null;
+    /** @type {boolean} Whether the component has been mounted into the DOM */
+    this.isMounted = false;
+    /** @type {boolean} Whether the component has been removed from the DOM */
+    this.isUnmounted = false;
+    /** @type {boolean} Whether a re-render has been requested since the latest render */
+    this.isDirty = false;
+    /** @type {boolean} Whether the component function is currently running */
+    this.isRendering = false;
+    /** @type {Function} Re-render trigger supplied by the DOM layer */
+    this.invalidate = invalidate;
+    /** @type {State} State instance that select() reads from */
+    this.store = store;
+    /** @type {Array<{selector: Function, value: *}>} Slices selected during the latest render */
+    this.selections = [];
+    /** @type {Function|null} Removes the store subscription */
+    this.unsubscribe = null;
+    /** @type {boolean} Whether useState has initialized the local state */
+    this.stateInitialized = false;
+    /** @type {Array<Function>} Callbacks registered during the latest render */
+    this.mountCallbacks = [];
+    /** @type {Array<Function>} Callbacks registered during the latest render */
+    this.updateCallbacks = [];
+    /** @type {Array<Function>} Callbacks registered during the latest render */
+    this.unmountCallbacks = [];
+    /** @type {Array<Function>} Cleanup functions returned by mount callbacks */
+    this.cleanups = [];
+  }
+
+  /**
+   * Runs the component function. Lifecycle callbacks are re-registered on every
+   * render so they always close over the latest props and state.
+   * @returns {Object|string|number|null|false} Virtual element produced by the component;
+   * text renders a text node, null and false render nothing
+   * @throws {Error} Throws if the component returns anything else, e.g. undefined
+   */
+  render() {
+    this.mountCallbacks = [];
+    this.updateCallbacks = [];
+    this.unmountCallbacks = [];
+    this.selections = [];
+    this.isDirty = false;
+    this.isRendering = true;
+    let result;
+    try {
+      result = this.renderFn(this.props, this);
+    } finally {
+      this.isRendering = false;
+    }
+    if (
+      result === undefined ||
+      (typeof result !== "object" && typeof result !== "string" && typeof result !== "number" && result !== false)
+    ) {
+      throw new Error(
+        `Error: component ${this.renderFn.name || "anonymous"} must return a virtual element, text, null or false`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Initializes the local state on the first render and returns it
+   * @param {Object|Function} initialState - Initial state, or a function returning it
+   * @returns {Object} Current local state
+   */
+  useState(initialState) {
+    if (!this.stateInitialized) {
+      this.stateInitialized = true;
+      this.state =
+        typeof initialState === "function" ? initialState(this.props) : { ...initialState };
+    }
+    return this.state;
+  }
+
+  /**
+   * Reads a slice of the app state and records it as a dependency of this component.
+   * A component that selects state is re-rendered when a selected slice changes
+   * (shallow equality), and skips re-rendering with its parent when neither its
+   * props nor its selected slices changed. Selecting does not stop the app render
+   * function from running on a notified change; it saves the work of re-rendering
+   * the component's subtree during that render, which reuses the output of a
+   * component already re-rendered for the same change.
+   * @param {Function} selector - Function receiving the app state and returning a slice
+   * @returns {*} Selected slice
+   */
+  select(selector) {
+    const value = selector(this.store.getState());
+    this.selections.push({ selector: selector, value: value });
+    return value;
+  }
+
+  /**
+   * Checks whether a re-render triggered by the parent can reuse the previous output
+   * @param {Object} nextProps - Props the parent is rendering the component with
+   * @returns {boolean} True if the component selects state and neither props nor selected slices changed
+   * @private
+   */
+  canSkipRender(nextProps) {
+    if (
+      this.isDirty ||
+      this.selections.length === 0 ||
+      !propsEqual(this.props, nextProps)
+    ) {
+      return false;
+    }
+    const state = this.store.getState();
+    return this.selections.every(({ selector, value }) =>
+      shallowEqual(selector(state), value)
+    );
+  }
+
+  /**
+   * Merges new values into the local state and schedules a re-render of this component only
+   * @param {Object|Function} newVal - Partial state, or a function of the previous state returning it
+   * @returns {boolean} True if the state was updated, false if newVal is invalid or the component is unmounted
+   */
+  setState(newVal) {
+    if (this.isUnmounted) {
+      return false;
+    }
+    const partial = typeof newVal === "function" ? newVal(this.state) : newVal;
+    if (typeof partial !== "object" || partial === null) {
+      return false;
+    }
+    this.state = { ...this.state, ...partial };
+    if (this.isMounted && !this.isRendering) {
+      this.invalidate(this);
+    }
+    return true;
+  }
+
+  /**
+   * Registers a callback run once after the component is first inserted into the DOM
+   * @param {Function} callback - Receives the component's root DOM element; may return a cleanup function run on unmount
+   */
+  onMount(callback) {
+    this.mountCallbacks.push(callback);
+  }
+
+  /**
+   * Registers a callback run after each re-render of a mounted component
+   * @param {Function} callback - Receives the component's root DOM element
+   */
+  onUpdate(callback) {
+    this.updateCallbacks.push(callback);
+  }
+
+  /**
+   * Registers a callback run right before the component is removed from the DOM
+   * @param {Function} callback - Receives the component's root DOM element
+   */
+  onUnmount(callback) {
+    this.unmountCallbacks.push(callback);
+  }
+
+  /**
+   * Runs mount callbacks, or update callbacks if the component is already mounted
+   * @param {Element} element - Root DOM element of the component
+   * @private
+   */
+  commit(element) {
+    if (this.isUnmounted) {
+      return;
+    }
+    // Re-subscribe so the subscription tracks the slices selected by this render
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.selections.length > 0) {
+      this.unsubscribe = this.store.subscribe(
+        (state) => this.selections.map(({ selector }) => selector(state)),
+        () => this.invalidate(this),
+        (next, prev) =>
+          next.length === prev.length &&
+          next.every((value, index) => shallowEqual(value, prev[index]))
+      );
+    }
+    if (!this.isMounted) {
+      this.isMounted = true;
+      for (const callback of this.mountCallbacks) {
+        const cleanup = callback(element);
+        if (typeof cleanup === "function") {
+          this.cleanups.push(cleanup);
+        }
+      }
+    } else {
+      for (const callback of this.updateCallbacks) {
+        callback(element);
+      }
+    }
+  }
+
+  /**
+   * Runs unmount callbacks and mount cleanups, and stops further re-renders
+   * @param {Element} element - Root DOM element of the component
+   * @private
+   */
+  unmount(element) {
+    if (this.isUnmounted) {
+      return;
+    }
+    this.isUnmounted = true;
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    for (const callback of this.unmountCallbacks) {
+      callback(element);
+    }
+    for (const cleanup of this.cleanups) {
+      cleanup();
+    }
+    this.cleanups = [];
+  }
+}
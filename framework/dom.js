@@ -4,29 +4,118 @@
  * @author AJA!
  */
 
-import { globalStorage } from "./state.js";
+import { globalStorage, getPath, shallowEqual } from "./state.js";
+import { Component } from "./component.js";
+import { renderScheduler } from "./scheduler.js";
+import { EventDelegator, isEventHandler } from "./events.js";
+import { PROPERTY_KEYS, normalizeClass, serializeAttribute, toCssName, toCssValue } from "./attributes.js";
 
-/** @type {WeakMap<Element, Object>} Maps DOM elements to their virtual element objects */
-// WeakMap is used to avoid memory leaks by allowing garbage collection
-// With a regular Map, you'd have to manually call domToVirtualMap.delete(element) everywhere DOM elements are removed, or you'd create memory leaks.
-const domToVirtualMap = new WeakMap();
-/** @type {Map<string, Element>} Maps virtual element IDs to their corresponding DOM elements */
-const virtualToDomMap = new Map();
+/** @type {string} Tag of fragments, which render their children without a wrapper element */
+export const Fragment = "#fragment";
+
+/** @type {string} Tag of text nodes among children */
+export const TEXT = "#text";
+
+/** @type {string} Tag of the empty placeholder rendered for components that return nothing */
+export const EMPTY = "#comment";
+
+/** @type {string} Tag of portals, which render their children into another DOM element */
+export const PORTAL = "#portal";
+
+/** @type {string} Namespace of SVG elements */
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/** @type {string} Namespace of MathML elements */
+const MATHML_NAMESPACE = "http://www.w3.org/1998/Math/MathML";
+
+/** @type {Object<string, string>} Namespaces of prefixed attributes such as xlink:href */
+const ATTRIBUTE_NAMESPACES = {
+  xlink: "http://www.w3.org/1999/xlink",
+  xml: "http://www.w3.org/XML/1998/namespace",
+  xmlns: "http://www.w3.org/2000/xmlns/",
+};
+
+/**
+ * Creates a virtual text node, as strings and numbers among children become
+ * @param {string|number} text - Text content
+ * @returns {Object} Virtual text node
+ */
+export function createTextElement(text) {
+  return {
+    tag: TEXT,
+    attributes: {},
+    innerText: String(text),
+    children: [],
+  };
+}
+
+/**
+ * Checks whether a value is a virtual element
+ * @param {*} child - Value to check
+ * @returns {boolean} True if the value has a tag, attributes and children
+ * @private
+ */
+function isVirtualElement(child) {
+  return (
+    typeof child === "object" &&
+    child !== null &&
+    (typeof child.tag === "string" || typeof child.tag === "function") &&
+    child.attributes instanceof Object &&
+    Array.isArray(child.children)
+  );
+}
+
+/**
+ * Flattens children into the list the renderer works with: strings and numbers become
+ * text nodes, fragments and nested arrays are spliced in, null, undefined and booleans
+ * are skipped
+ * @param {Array<*>} children - Children as passed to createVirtualElement
+ * @param {Array<Object>} [result=[]] - List to append to
+ * @returns {Array<Object>} Virtual elements and text nodes
+ * @throws {Error} Throws if a child is none of the above
+ */
+export function normalizeChildren(children, result = []) {
+  for (const child of children) {
+    if (child === null || child === undefined || typeof child === "boolean") {
+      continue;
+    }
+    if (typeof child === "string" || typeof child === "number") {
+      result.push(createTextElement(child));
+    } else if (Array.isArray(child)) {
+      normalizeChildren(child, result);
+    } else if (!isVirtualElement(child)) {
+      throw new Error(
+        "Error: each child must be a virtual element, a string, a number, an array, null or a boolean"
+      );
+    } else if (child.tag === Fragment) {
+      if (child.innerText) {
+        result.push(createTextElement(child.innerText));
+      }
+      normalizeChildren(child.children, result);
+    } else {
+      result.push(child);
+    }
+  }
+  return result;
+}
 
 /**
  * Creates a virtual DOM element object
- * @param {string} tag - HTML tag name for the element
- * @param {Object} attributes - Object containing element attributes and event handlers
+ * @param {string|Function} tag - HTML tag name for the element, a component function, or Fragment
+ * @param {Object} attributes - Object containing element attributes and event handlers (props for components)
  * @param {string} [innerText] - Text content for the element
- * @param {Array<Object>} children - Array of child virtual elements
+ * @param {Array<*>} children - Child virtual elements, fragments and text; null and false are skipped
  * @returns {Object} Virtual element object with tag, attributes, innerText, and children
  * @throws {Error} Throws if any parameter validation fails
  * @example
  * const vElement = createVirtualElement('div', { class: 'container' }, 'Hello', []);
+ * const vTodo = createVirtualElement(TodoItem, { key: todo.id, todo }, '', []);
+ * const vGreeting = createVirtualElement('p', {}, '', ['Hello ', createVirtualElement('b', {}, name, []), '!']);
+ * const vMaybe = createVirtualElement('ul', {}, '', [loading && createVirtualElement('li', {}, '…', []), ...items]);
  */
 export function createVirtualElement(tag, attributes, innerText, children) {
-  if (!tag || typeof tag !== "string") {
-    throw new Error("Error: tag is not a string");
+  if (!tag || (typeof tag !== "string" && typeof tag !== "function")) {
+    throw new Error("Error: tag is not a string or a component function");
   }
   if (!attributes || typeof attributes !== "object" || attributes === null) {
     throw new Error("Error: attributes are not an object");
@@ -37,168 +126,1422 @@ export function createVirtualElement(tag, attributes, innerText, children) {
   if (!children || !Array.isArray(children)) {
     throw new Error("Error: children is not an array");
   }
-  for (const child of children) {
-    if (
-      typeof child !== "object" ||
-      child === null ||
-      typeof child.tag !== "string" ||
-      !(child.attributes && child.attributes instanceof Object) ||
-      !child.children ||
-      !Array.isArray(child.children)
-    ) {
-      console.log(typeof child, child);
-      console.log(typeof child.children, child.children);
-      throw new Error(
-        "Error: each child must be a virtual element with tag, attributes, and children:",
-        children
-      );
-    }
-  }
 
   return {
     tag: tag,
     attributes: attributes,
     innerText: innerText,
-    children: children,
+    children: normalizeChildren(children),
   };
 }
 
 /**
- * Converts a virtual element object to an actual HTML DOM element
- * @param {Object} elem - Virtual element object with tag, attributes, innerText, and children
- * @param {string} elem.tag - HTML tag name
- * @param {Object} elem.attributes - Element attributes and event handlers
- * @param {string} [elem.innerText] - Text content
- * @param {Array<Object>} elem.children - Array of child virtual elements
- * @returns {HTMLElement} Created DOM element with all attributes and children applied
- * @throws {Error} Throws if elem is not an object or attributes are invalid
+ * Creates a portal. Its children are rendered into another DOM element, such as
+ * document.body or an overlay layer, instead of where the portal appears in the tree.
+ * They are still patched with the rest of the tree, their events bubble to the
+ * handlers around the portal, and they are removed when the portal is.
+ * @param {*} children - Children of the portal, as accepted by createVirtualElement
+ * @param {Element|string} target - DOM element or CSS selector the children are appended to
+ * @returns {Object} Virtual portal, usable wherever a virtual element is
+ * @throws {Error} Throws if the target is neither an element nor a selector
+ * @example
+ * createVirtualElement("div", { class: "toolbar" }, "", [
+ *   createVirtualElement("button", { onclick: openDialog }, "Delete", []),
+ *   state.dialogOpen && createPortal(createVirtualElement("div", { class: "modal" }, "Sure?", []), document.body),
+ * ]);
  */
-export function elementToHtmlElement(elem) {
-  if (typeof elem !== "object") {
-    throw new Error(`Error: ${elem} is not an object`);
+export function createPortal(children, target) {
+  if (!target || (typeof target !== "string" && typeof target !== "object")) {
+    throw new Error("Error: portal target is not an element or a selector");
   }
-  // Fix: use elem.tag instead of elem.state.tag
-  const returnElement = document.createElement(elem.tag);
+  return {
+    tag: PORTAL,
+    attributes: { target: target },
+    innerText: "",
+    children: normalizeChildren(Array.isArray(children) ? children : [children]),
+  };
+}
 
-  // Set up tracking without DOM attributes
-  virtualToDomMap.set(elem.id, returnElement);
-  domToVirtualMap.set(returnElement, elem);
+/**
+ * Finds the DOM element a portal renders into
+ * @param {Element|string} target - DOM element or CSS selector
+ * @returns {Element} Target element
+ * @throws {Error} Throws if no element matches the selector
+ * @private
+ */
+function resolvePortalTarget(target) {
+  const element = typeof target === "string" ? document.querySelector(target) : target;
+  if (!element) {
+    throw new Error(`Error: portal target "${target}" not found`);
+  }
+  return element;
+}
 
-  if (elem.innerText) {
-    returnElement.innerText = elem.innerText;
+/**
+ * Turns what a component function returned into the virtual node it renders.
+ * Shared with renderToString so both render components the same way.
+ * @param {*} output - Component output
+ * @param {Function} renderFn - Component function, for error messages
+ * @returns {Object} The virtual element, a text node for strings and numbers,
+ * or an empty placeholder (a comment in the DOM) for null and false
+ * @throws {Error} Throws for fragments and arrays, components render a single node
+ */
+export function toComponentNode(output, renderFn) {
+  if (output === null || output === false) {
+    return { tag: EMPTY, attributes: {}, innerText: "", children: [] };
   }
+  if (typeof output === "string" || typeof output === "number") {
+    return createTextElement(output);
+  }
+  if (Array.isArray(output) || output.tag === Fragment) {
+    throw new Error(
+      `Error: component ${renderFn.name || "anonymous"} must return a single virtual element, wrap fragments in an element`
+    );
+  }
+  return output;
+}
 
-  if (
-    !elem.attributes ||
-    typeof elem.attributes !== "object" ||
-    elem.attributes === null ||
-    elem.attributes instanceof NamedNodeMap ||
-    Array.isArray(elem.attributes)
-  ) {
-    throw new Error("Error: elem.attributes is not a plain object");
-  }
-
-  for (const [attrName, attrValue] of Object.entries(elem.attributes)) {
-    // Check if the attribute is an event handler
-    if (attrName.startsWith("on") && typeof attrValue === "function") {
-      // Handle event listeners
-      const eventName = attrName.substring(2).toLowerCase();
-      returnElement.addEventListener(eventName, attrValue);
-    } else if (attrName === "checked") {
-      // Special handling for checkbox checked state
-      if (attrValue) {
-        returnElement.checked = true;
-        returnElement.setAttribute("checked", "checked");
+/**
+ * Copies a virtual element and everything inside it, so the copy can be rendered
+ * at a second position without sharing DOM nodes or component instances with the original
+ * @param {Object} elem - Virtual element
+ * @returns {Object} Deep copy; attributes and props are shared, they are never mutated
+ * @private
+ */
+function cloneVirtualElement(elem) {
+  return { ...elem, children: elem.children.map(cloneVirtualElement) };
+}
+
+/**
+ * Creates a ref object for the `ref` attribute. After a render, `current` holds the
+ * DOM element rendered by the element carrying the ref, or null once it is removed.
+ * @returns {{current: Element|null}} Ref object
+ * @example
+ * const inputRef = createRef();
+ * createVirtualElement("input", { ref: inputRef }, "", []);
+ * // later, e.g. in an event handler
+ * inputRef.current.focus();
+ */
+export function createRef() {
+  return { current: null };
+}
+
+/**
+ * Points a ref at a DOM element
+ * @param {Function|Object} ref - Callback ref, called with the element, or ref object
+ * @param {Element} element - Rendered element
+ * @private
+ */
+function attachRef(ref, element) {
+  if (typeof ref === "function") {
+    ref(element);
+  } else if (ref && typeof ref === "object") {
+    ref.current = element;
+  }
+}
+
+/**
+ * Clears a ref that pointed at a DOM element
+ * @param {Function|Object} ref - Callback ref, called with null, or ref object
+ * @param {Element} element - Element the ref pointed at
+ * @private
+ */
+function detachRef(ref, element) {
+  if (typeof ref === "function") {
+    ref(null);
+  } else if (ref && typeof ref === "object" && ref.current === element) {
+    // The ref may already point at the element that replaced this one
+    ref.current = null;
+  }
+}
+
+/**
+ * Returns the namespace new children of a DOM element are created in. Children of
+ * svg and math elements inherit their namespace, except inside foreignObject,
+ * which holds HTML again.
+ * @param {Node} parent - Parent DOM node
+ * @returns {string|null} SVG or MathML namespace, or null for HTML
+ * @private
+ */
+function getChildNamespace(parent) {
+  if (parent.namespaceURI === SVG_NAMESPACE && parent.localName !== "foreignObject") {
+    return SVG_NAMESPACE;
+  }
+  if (parent.namespaceURI === MATHML_NAMESPACE && parent.localName !== "annotation-xml") {
+    return MATHML_NAMESPACE;
+  }
+  return null;
+}
+
+/**
+ * Returns the reconciliation key of a virtual element
+ * @param {Object} elem - Virtual element object
+ * @returns {*} Value of the element's `key` attribute, or null if it has none
+ * @private
+ */
+function getKey(elem) {
+  const key = elem.attributes.key;
+  return key === undefined ? null : key;
+}
+
+/**
+ * Builds the props object passed to a component function.
+ * Shared with renderToString so both pass components the same props.
+ * @param {Object} elem - Component virtual element
+ * @returns {Object} Attributes without the reconciliation key, plus the element's children
+ */
+export function getProps(elem) {
+  const { key, ...props } = elem.attributes;
+  props.children = elem.children;
+  return props;
+}
+
+/**
+ * Returns the value a DOM property takes for an attribute value
+ * @param {string} attrName - Property name, one of PROPERTY_KEYS
+ * @param {*} attrValue - Attribute value (null or undefined resets the property)
+ * @returns {string|boolean} String for value, boolean otherwise
+ * @private
+ */
+function toPropertyValue(attrName, attrValue) {
+  if (attrName === "value") {
+    return attrValue === null || attrValue === undefined ? "" : String(attrValue);
+  }
+  return Boolean(attrValue);
+}
+
+/**
+ * Checks whether an attribute is applied as a DOM property on an element. Keys in
+ * PROPERTY_KEYS are only properties of the elements that define them; on others,
+ * like a div or a custom element, `value` and `selected` are plain attributes.
+ * @param {HTMLElement} element - Element to update
+ * @param {string} attrName - Attribute name
+ * @returns {boolean} True if the value is set as a property
+ * @private
+ */
+function isPropertyAttribute(element, attrName) {
+  return PROPERTY_KEYS.has(attrName) && attrName in element;
+}
+
+/**
+ * Applies a style attribute given as a string or an object. With objects only the
+ * properties that changed since the previous object are touched.
+ * @param {HTMLElement} element - Element to update
+ * @param {string|Object|null|undefined} style - New style
+ * @param {string|Object|null|undefined} oldStyle - Previously applied style
+ * @private
+ */
+function setStyle(element, style, oldStyle) {
+  if (typeof style !== "object" || style === null) {
+    if (style === null || style === undefined || style === false) {
+      element.removeAttribute("style");
+    } else {
+      element.setAttribute("style", String(style));
+    }
+    return;
+  }
+  const previous = typeof oldStyle === "object" && oldStyle !== null ? oldStyle : {};
+  if (previous !== oldStyle && oldStyle) {
+    // Switching from a style string, start over
+    element.removeAttribute("style");
+  }
+  for (const name of Object.keys(previous)) {
+    if (!(name in style)) {
+      element.style.removeProperty(toCssName(name));
+    }
+  }
+  for (const [name, value] of Object.entries(style)) {
+    if (Object.is(previous[name], value)) {
+      continue;
+    }
+    const cssName = toCssName(name);
+    const cssValue = toCssValue(cssName, value);
+    if (cssValue === null) {
+      element.style.removeProperty(cssName);
+    } else {
+      element.style.setProperty(cssName, cssValue);
+    }
+  }
+}
+
+/**
+ * Applies a single attribute or property to a DOM element.
+ * Keys in PROPERTY_KEYS (value, checked, selected, ...) are set as properties on elements
+ * that have them, `class`
+ * accepts strings, arrays and objects of booleans, `style` accepts strings and objects,
+ * `true` renders an empty (boolean) attribute and `false`, null and undefined remove it.
+ * @param {HTMLElement} element - Element to update
+ * @param {string} attrName - Attribute name
+ * @param {*} attrValue - New attribute value
+ * @param {*} [oldValue] - Previously applied value
+ * @private
+ */
+function setElementAttribute(element, attrName, attrValue, oldValue) {
+  if (attrName === "key" || attrName === "bind" || attrName === "ref") {
+    // Keys are only used for reconciliation, bindings and refs are applied by the renderer
+    return;
+  }
+  if (isEventHandler(attrName, attrValue) || isEventHandler(attrName, oldValue)) {
+    // Event handlers are looked up by the renderer's EventDelegator when an event fires
+    return;
+  }
+  if (isPropertyAttribute(element, attrName)) {
+    const value = toPropertyValue(attrName, attrValue);
+    // Compare with the live property: the user may have changed it since the last render
+    if (element[attrName] !== value) {
+      element[attrName] = value;
+    }
+  } else if (attrName === "style") {
+    setStyle(element, attrValue, oldValue);
+  } else if (attrName === "class") {
+    const className = normalizeClass(attrValue);
+    if (className) {
+      element.setAttribute("class", className);
+    } else {
+      element.removeAttribute("class");
+    }
+  } else {
+    const prefix = attrName.includes(":") ? attrName.split(":")[0] : null;
+    const namespace = ATTRIBUTE_NAMESPACES[prefix] || null;
+    if (attrValue === null || attrValue === undefined || attrValue === false) {
+      if (namespace) {
+        element.removeAttributeNS(namespace, attrName.substring(prefix.length + 1));
       } else {
-        returnElement.checked = false;
-        returnElement.removeAttribute("checked");
+        element.removeAttribute(attrName);
       }
-    } else if (attrValue !== null && attrValue !== undefined) {
-      // Handle regular attributes
-      returnElement.setAttribute(attrName, attrValue.toString());
+    } else if (namespace) {
+      // Prefixed attributes like xlink:href only work with their namespace
+      element.setAttributeNS(namespace, attrName, attrValue === true ? "" : String(attrValue));
+    } else {
+      element.setAttribute(attrName, attrValue === true ? "" : String(attrValue));
     }
   }
+}
 
-  elem.children.forEach((child) => {
-    returnElement.appendChild(elementToHtmlElement(child));
-  });
- 
-  return returnElement;
+/**
+ * Shows the `value` of a select once its options exist, since a value
+ * without a matching option is ignored by the browser
+ * @param {HTMLElement} element - Rendered element
+ * @param {Object} attributes - Attributes of its virtual element
+ * @private
+ */
+function syncSelectValue(element, attributes) {
+  if (element.tagName === "SELECT" && "value" in attributes) {
+    setElementAttribute(element, "value", attributes.value);
+  }
 }
 
 /**
- * Updates the DOM by replacing all content with new virtual elements
- * @param {HTMLElement} [topElement=document.body] - Root element to update
- * @param {Array<Object>} attachElements - Array of virtual elements to render
- * @throws {Error} Throws if attachElements is not an array or contains invalid elements
+ * Checks whether a form element reports edits with "change" rather than "input" events
+ * @param {HTMLElement} element - Bound form element
+ * @returns {boolean} True for checkboxes, radio buttons, selects and file inputs
+ * @private
  */
-export function updateDom(topElement = document.body, attachElements) {
-  if (!attachElements || !Array.isArray(attachElements)) {
-    throw new Error("Error: attachElements is not an array");
+function usesChangeEvent(element) {
+  return (
+    element.tagName === "SELECT" ||
+    (element.tagName === "INPUT" && ["checkbox", "radio", "file"].includes(element.type))
+  );
+}
+
+/**
+ * Reads the value of a bound form element as it is stored in the state
+ * @param {HTMLElement} element - Bound form element
+ * @param {*} current - Value currently stored in the state
+ * @returns {*} Boolean for checkboxes (or the updated array when the stored value is an array),
+ * the option value for radio buttons, an array for multiple selects, a number (or null when empty)
+ * for number and range inputs, the string value otherwise
+ * @private
+ */
+function readBoundValue(element, current) {
+  if (element.type === "checkbox") {
+    if (Array.isArray(current)) {
+      const others = current.filter((value) => value !== element.value);
+      return element.checked ? [...others, element.value] : others;
+    }
+    return element.checked;
+  }
+  if (element.tagName === "SELECT" && element.multiple) {
+    return [...element.selectedOptions].map((option) => option.value);
   }
-  for (const element of attachElements) {
-    if (typeof element !== "object") {
-      throw new Error("Error: element is not an object");
+  if (element.type === "number" || element.type === "range") {
+    return element.value === "" ? null : Number(element.value);
+  }
+  return element.value;
+}
+
+/**
+ * Shows a state value in a bound form element. Properties are only written when they
+ * differ, so the caret of an input being typed in doesn't jump.
+ * @param {HTMLElement} element - Bound form element
+ * @param {*} value - Value stored in the state
+ * @private
+ */
+function writeBoundValue(element, value) {
+  if (element.type === "checkbox") {
+    const checked = Array.isArray(value) ? value.includes(element.value) : Boolean(value);
+    if (element.checked !== checked) {
+      element.checked = checked;
+    }
+  } else if (element.type === "radio") {
+    const checked = element.value === String(value);
+    if (element.checked !== checked) {
+      element.checked = checked;
+    }
+  } else if (element.tagName === "SELECT" && element.multiple) {
+    const selected = Array.isArray(value) ? value.map(String) : [];
+    for (const option of element.options) {
+      option.selected = selected.includes(option.value);
+    }
+  } else if (element.type !== "file") {
+    const text = value === null || value === undefined ? "" : String(value);
+    if (element.value !== text) {
+      element.value = text;
     }
   }
+}
 
-  // Clear old tracking maps
-  virtualToDomMap.clear();
-  // Note: domToVirtualMap will be cleared automatically when DOM elements are removed
+/**
+ * Skips DOM nodes that carry no rendered content: comments and whitespace-only text,
+ * unless the next virtual node is a placeholder comment or a text node itself.
+ * They are removed along the way so later patches see only rendered nodes.
+ * @param {Node|null} node - Node to start from
+ * @param {Object} [expected] - Virtual node the DOM node should represent
+ * @returns {Node|null} First meaningful node, or null
+ * @private
+ */
+function skipIgnorableNodes(node, expected) {
+  const tag = expected ? expected.tag : null;
+  while (
+    node &&
+    ((node.nodeType === Node.COMMENT_NODE && tag !== EMPTY && tag !== PORTAL) ||
+      (node.nodeType === Node.TEXT_NODE && !node.data.trim() && tag !== TEXT))
+  ) {
+    const next = node.nextSibling;
+    node.parentNode.removeChild(node);
+    node = next;
+  }
+  return node;
+}
 
-  globalStorage.setState(
-    {
-      vDOM: attachElements,
-      topElement: topElement,
-    },
-    false
-  );
-  topElement.innerHTML = "";
-  for (const element of attachElements) {
+/**
+ * Takes the part of a pre-rendered text node that belongs to one virtual text.
+ * Adjacent texts are merged into one node in HTML, so the rest is split off.
+ * @param {Node|null} node - DOM node expected to start with the text
+ * @param {string} text - Expected text
+ * @returns {Text|null} Text node holding exactly the text, or null if node doesn't start with it
+ * @private
+ */
+function claimText(node, text) {
+  if (!node || node.nodeType !== Node.TEXT_NODE || !text || !node.data.startsWith(text)) {
+    return null;
+  }
+  if (node.data.length > text.length) {
+    node.splitText(text.length);
+  }
+  return node;
+}
 
-    topElement.appendChild(elementToHtmlElement(element));
+/**
+ * Patches the attributes and properties of an existing DOM element
+ * @param {HTMLElement} element - Element to patch
+ * @param {Object} oldAttributes - Attributes applied during the previous render
+ * @param {Object} newAttributes - Attributes of the new virtual element
+ * @private
+ */
+function patchAttributes(element, oldAttributes, newAttributes) {
+  for (const [attrName, oldValue] of Object.entries(oldAttributes)) {
+    if (!(attrName in newAttributes)) {
+      setElementAttribute(element, attrName, undefined, oldValue);
+    }
+  }
+  for (const [attrName, attrValue] of Object.entries(newAttributes)) {
+    const oldValue = oldAttributes[attrName];
+    let changed;
+    if (isPropertyAttribute(element, attrName)) {
+      // Properties can be changed by the user, so compare against the live DOM
+      changed = element[attrName] !== toPropertyValue(attrName, attrValue);
+    } else if (attrName === "class") {
+      changed = normalizeClass(oldValue) !== normalizeClass(attrValue);
+    } else if (attrName === "style") {
+      // Style objects are usually recreated on every render
+      changed = !shallowEqual(oldValue, attrValue);
+    } else {
+      changed = oldValue !== attrValue;
+    }
+    if (changed) {
+      setElementAttribute(element, attrName, attrValue, oldValue);
+    }
   }
 }
 
 /**
- * Finds an element using any CSS selector
- * @param {string} selector - CSS selector string
- * @param {Element} [rootElement=null] - Root element to search within, defaults to app root
- * @returns {Element|null} Found element or null if not found
+ * Updates the leading text node of an element created by elementToHtmlElement
+ * @param {HTMLElement} element - Element to patch
+ * @param {string} [oldText] - Text rendered previously
+ * @param {string} [newText] - Text to render now
+ * @private
  */
-export function findElement(selector, rootElement = null) {
-  const searchRoot =
-    rootElement || globalStorage.getState().topElement || document.body;
-  return searchRoot.querySelector(selector);
+function patchText(element, oldText, newText) {
+  if ((oldText || "") === (newText || "")) {
+    return;
+  }
+  const textNode = oldText ? element.firstChild : null;
+  if (!newText) {
+    element.removeChild(textNode);
+  } else if (textNode) {
+    textNode.data = newText;
+  } else {
+    element.insertBefore(document.createTextNode(newText), element.firstChild);
+  }
 }
 
 /**
- * Sets focus on an element with optional cursor positioning
- * @param {string} selector - CSS selector for the element to focus
- * @param {string} [cursorPosition='default'] - Cursor position: 'default', 'end', or 'select'
- * @returns {boolean} True if element was found and focused, false otherwise
+ * Renders virtual elements into the DOM and keeps them in sync across renders.
+ * Each App owns one Renderer, so the bookkeeping of several apps on the same page stays separate.
+ * @class Renderer
+ * @example
+ * const renderer = new Renderer(new State(), new Scheduler());
+ * renderer.updateDom(document.querySelector("#widget"), [createVirtualElement("p", {}, "Hi", [])]);
  */
-export function focusElement(selector, cursorPosition = "default") {
-  const element = findElement(selector);
-  if (element && typeof element.focus === "function") {
-    element.focus();
+export class Renderer {
+  /**
+   * Creates a new Renderer instance
+   * @param {State} store - State that components select from and bound elements write to
+   * @param {Scheduler} scheduler - Scheduler batching component re-renders
+   * @param {Object} [options] - Renderer options
+   * @param {boolean} [options.dev=false] - Report hydration mismatches with console.warn
+   */
+  constructor(store, scheduler, options = {}) {
+    /** @type {State} State read by components and bound elements */
+    this.store = store;
+    /** @type {Array<Object>|null} Virtual elements of the last render, diffed against by the next one */
+    this.vDOM = null;
+    /** @type {HTMLElement|null} Root element of the last render */
+    this.topElement = null;
+    /** @type {Scheduler} Scheduler batching component re-renders */
+    this.scheduler = scheduler;
+    /** @type {WeakMap<Element, Object>} Maps DOM elements to their virtual element objects */
+    // WeakMap is used to avoid memory leaks by allowing garbage collection
+    // With a regular Map, you'd have to manually call domToVirtualMap.delete(element) everywhere DOM elements are removed, or you'd create memory leaks.
+    this.domToVirtualMap = new WeakMap();
+    /** @type {WeakMap<Object, Element>} Maps virtual element objects to their corresponding DOM elements */
+    this.virtualToDomMap = new WeakMap();
+    /** @type {WeakMap<Object, Component>} Maps component virtual elements to their mounted instances */
+    this.componentInstances = new WeakMap();
+    /** @type {Array<Component>} Components waiting for their mount/update callbacks */
+    this.pendingCommits = [];
+    /** @type {Array<{ref: Function|Object, element: Element}>} Refs to attach once the DOM is updated */
+    this.pendingRefs = [];
+    /** @type {WeakMap<Object, {target: Element, marker: Comment}>} Mounted portals with the comment their children follow */
+    this.portals = new WeakMap();
+    /** @type {WeakMap<Node, Comment>} Top-level portal nodes mapped to the placeholder of their portal */
+    this.portalParents = new WeakMap();
+    /** @type {Map<Element, number>} Portal targets and the number of portals rendering into them */
+    this.portalTargets = new Map();
+    /** @type {Set<Component>} Components whose local state changed since the last flush */
+    this.dirtyComponents = new Set();
+    /** @type {Function} Bound job that re-renders dirty components */
+    this.renderDirtyJob = () => this.renderDirtyComponents();
+    /** @type {boolean} Whether hydration mismatches are reported */
+    this.dev = Boolean(options.dev);
+    /** @type {EventDelegator} Dispatches events from the rendered roots to on* handlers */
+    this.events = new EventDelegator(
+      (node) => this.domToVirtualMap.get(node),
+      (element, elem) => this.getBindingHandlers(element, elem),
+      // Events in portals bubble from the portal content to the portal's position
+      (node) => this.portalParents.get(node) || node.parentNode
+    );
+  }
+
+  /**
+   * Makes sure the roots listen for the events an element handles, including
+   * the input and change events of a `bind` attribute
+   * @param {Object} attributes - Attributes of a rendered virtual element
+   * @private
+   */
+  registerEvents(attributes) {
+    this.events.register(attributes);
+    if (attributes.bind !== undefined) {
+      this.events.listen("input");
+      this.events.listen("change");
+    }
+  }
+
+  /**
+   * Shows the state value a form element is bound to
+   * @param {HTMLElement} element - Rendered element
+   * @param {Object} attributes - Attributes of its virtual element
+   * @private
+   */
+  applyBinding(element, attributes) {
+    if (attributes.bind !== undefined) {
+      writeBoundValue(element, getPath(this.store.getState(), attributes.bind));
+    }
+  }
+
+  /**
+   * Returns the handlers that write a bound form element back to the state. They are
+   * dispatched like on* attributes and run before the element's own handlers, so those
+   * already see the updated state.
+   * @param {HTMLElement} element - Element an event reached
+   * @param {Object} elem - Its virtual element
+   * @returns {Object|null} oninput or onchange handler, or null if the element isn't bound
+   * @private
+   */
+  getBindingHandlers(element, elem) {
+    const path = elem.attributes.bind;
+    if (path === undefined) {
+      return null;
+    }
+    const handler = () => {
+      this.store.setState(path, (current) => readBoundValue(element, current));
+    };
+    return usesChangeEvent(element) ? { onchange: handler } : { oninput: handler };
+  }
+
+  /**
+   * Resolves the DOM element rendered for a virtual element
+   * @param {Object} elem - Virtual element, possibly a component
+   * @returns {Node|undefined} DOM node, following components to their rendered root
+   */
+  getDomElement(elem) {
+    if (typeof elem.tag === "function") {
+      const instance = this.componentInstances.get(elem);
+      return instance && instance.rendered ? this.getDomElement(instance.rendered) : undefined;
+    }
+    return this.virtualToDomMap.get(elem);
+  }
+
+  /**
+   * Returns the virtual element a DOM element was rendered from
+   * @param {Node} domElement - DOM element to look up
+   * @returns {Object|undefined} Virtual element, or undefined if this renderer did not create the element
+   */
+  getVirtualElement(domElement) {
+    return this.domToVirtualMap.get(domElement);
+  }
+
+  /**
+   * Finds an element using any CSS selector, or resolves a ref
+   * @param {string|Object|Element} selector - CSS selector string, ref object created by createRef, or element
+   * @param {Element} [rootElement=null] - Root element to search within, defaults to the root this renderer renders into
+   * @returns {Element|null} Found element or null if not found
+   */
+  findElement(selector, rootElement = null) {
+    if (typeof selector !== "string") {
+      return selector && "current" in selector ? selector.current : selector || null;
+    }
+    const searchRoot = rootElement || this.topElement || document.body;
+    return searchRoot.querySelector(selector);
+  }
+
+  /**
+   * Sets focus on an element with optional cursor positioning
+   * @param {string|Object|Element} selector - CSS selector, ref object or element to focus
+   * @param {string} [cursorPosition='default'] - Cursor position: 'default', 'end', or 'select'
+   * @param {Element} [rootElement=null] - Root element to search within, defaults to the root this renderer renders into
+   * @returns {boolean} True if element was found and focused, false otherwise
+   */
+  focusElement(selector, cursorPosition = "default", rootElement = null) {
+    const element = this.findElement(selector, rootElement);
+    if (element && typeof element.focus === "function") {
+      element.focus();
+
+      // Handle cursor positioning for text inputs
+      if (
+        cursorPosition === "end" &&
+        element.type === "text" &&
+        typeof element.setSelectionRange === "function"
+      ) {
+        const length = element.value.length;
+        element.setSelectionRange(length, length);
+      } else if (
+        cursorPosition === "select" &&
+        typeof element.select === "function"
+      ) {
+        element.select();
+      }
+
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Checks whether a virtual element already has a DOM node or component instance
+   * @param {Object} elem - Virtual element
+   * @returns {boolean} True if the element was rendered, by this or an earlier render
+   * @private
+   */
+  isRendered(elem) {
+    return this.virtualToDomMap.has(elem) || this.componentInstances.has(elem);
+  }
+
+  /**
+   * Returns a virtual element that can be rendered at a new position: the element
+   * itself, or a copy if it is already on the page (e.g. a hoisted constant reused
+   * between renders or in several places)
+   * @param {Object} elem - Virtual element about to be rendered
+   * @returns {Object} elem, or a deep copy of it
+   * @private
+   */
+  claim(elem) {
+    return this.isRendered(elem) ? cloneVirtualElement(elem) : elem;
+  }
+
+  /**
+   * Replaces children that are already rendered, or appear twice in the list, with
+   * copies. DOM nodes are tracked per virtual element, so each position needs its own.
+   * @param {Array<Object>} children - Children about to be rendered, updated in place
+   * @returns {Array<Object>} The same list
+   * @private
+   */
+  claimChildren(children) {
+    const seen = new Set();
+    children.forEach((child, index) => {
+      const claimed = seen.has(child) ? cloneVirtualElement(child) : this.claim(child);
+      seen.add(claimed);
+      children[index] = claimed;
+    });
+    return children;
+  }
+
+  /**
+   * Creates the instance of a component virtual element and renders it for the first time.
+   * Its DOM element is built or hydrated by the caller.
+   * @param {Object} elem - Component virtual element
+   * @returns {Component} New instance, with its output in `rendered`
+   * @private
+   */
+  createComponentInstance(elem) {
+    const instance = new Component(
+      elem.tag,
+      getProps(elem),
+      (dirty) => this.scheduleComponentRender(dirty),
+      this.store
+    );
+    this.componentInstances.set(elem, instance);
+    instance.vnode = elem;
+    instance.rendered = this.claim(toComponentNode(instance.render(), elem.tag));
+    return instance;
+  }
+
+  /**
+   * Creates a component instance, renders it and builds its DOM element
+   * @param {Object} elem - Component virtual element
+   * @param {string|null} [namespace=null] - Namespace of the parent, see elementToHtmlElement
+   * @returns {HTMLElement} Root DOM element rendered by the component
+   * @private
+   */
+  mountComponent(elem, namespace = null) {
+    const instance = this.createComponentInstance(elem);
+    const element = this.elementToHtmlElement(instance.rendered, namespace);
+    this.pendingCommits.push(instance);
+    return element;
+  }
+
+  /**
+   * Re-renders a component whose virtual element matched the previous render
+   * @param {Object} oldElem - Component virtual element rendered previously
+   * @param {Object} newElem - Component virtual element to render now
+   * @returns {HTMLElement} Root DOM element of the component
+   * @private
+   */
+  patchComponent(oldElem, newElem) {
+    const instance = this.componentInstances.get(oldElem);
+    this.componentInstances.set(newElem, instance);
+    instance.vnode = newElem;
+    const props = getProps(newElem);
+    if (instance.canSkipRender(props)) {
+      // Nothing this component depends on changed, keep its previous output
+      instance.props = props;
+      return this.getDomElement(instance.rendered);
+    }
+    instance.props = props;
+    const rendered = this.claim(toComponentNode(instance.render(), newElem.tag));
+    const element = this.patchNode(instance.rendered, rendered);
+    instance.rendered = rendered;
+    this.pendingCommits.push(instance);
+    return element;
+  }
+
+  /**
+   * Queues a component re-render after its local state or selected state changed.
+   * Several changes before the next flush result in a single re-render.
+   * @param {Component} instance - Mounted component instance
+   * @private
+   */
+  scheduleComponentRender(instance) {
+    instance.isDirty = true;
+    this.dirtyComponents.add(instance);
+    this.scheduler.schedule(this.renderDirtyJob);
+  }
+
+  /**
+   * Re-renders the components queued by scheduleComponentRender. Components already
+   * re-rendered by a parent or a full app render in the meantime are skipped.
+   * @private
+   */
+  renderDirtyComponents() {
+    const instances = [...this.dirtyComponents];
+    this.dirtyComponents.clear();
+    for (const instance of instances) {
+      if (!instance.isDirty || instance.isUnmounted || !instance.isMounted) {
+        continue;
+      }
+      const rendered = this.claim(toComponentNode(instance.render(), instance.renderFn));
+      this.patchNode(instance.rendered, rendered);
+      instance.rendered = rendered;
+      this.pendingCommits.push(instance);
+    }
+    this.flushCommits();
+  }
+
+  /**
+   * Attaches the refs and runs mount and update callbacks of the components rendered since the last flush.
+   * Children are queued before their parents, so callbacks run bottom-up.
+   * @private
+   */
+  flushCommits() {
+    // Refs first, so mount and update callbacks can use them
+    const refs = this.pendingRefs;
+    this.pendingRefs = [];
+    for (const { ref, element } of refs) {
+      attachRef(ref, element);
+    }
+    const commits = this.pendingCommits;
+    this.pendingCommits = [];
+    for (const instance of commits) {
+      instance.commit(this.getDomElement(instance.vnode));
+    }
+  }
+
+  /**
+   * Renders the children of a portal into its target, after a marker comment
+   * that keeps them apart from other content of the target
+   * @param {Object} elem - Virtual portal
+   * @param {Comment} placeholder - Comment standing in for the portal in its parent
+   * @private
+   */
+  mountPortal(elem, placeholder) {
+    const target = resolvePortalTarget(elem.attributes.target);
+    const marker = document.createComment("");
+    target.appendChild(marker);
+    this.portals.set(elem, { target: target, marker: marker });
+    this.portalTargets.set(target, (this.portalTargets.get(target) || 0) + 1);
+    this.events.addRoot(target);
+    this.patchChildren(target, [], elem.children, marker);
+    this.linkPortalChildren(elem, placeholder);
+  }
+
+  /**
+   * Patches the children of a portal in its target. A portal whose target
+   * changed renders its children anew in the new target.
+   * @param {Object} oldElem - Virtual portal rendered previously
+   * @param {Object} newElem - Virtual portal to render now
+   * @param {Comment} placeholder - Comment standing in for the portal in its parent
+   * @private
+   */
+  patchPortal(oldElem, newElem, placeholder) {
+    const portal = this.portals.get(oldElem);
+    if (resolvePortalTarget(newElem.attributes.target) !== portal.target) {
+      this.unmountPortal(oldElem);
+      this.mountPortal(newElem, placeholder);
+      return;
+    }
+    this.portals.set(newElem, portal);
+    this.patchChildren(portal.target, oldElem.children, newElem.children, portal.marker);
+    this.linkPortalChildren(newElem, placeholder);
+  }
+
+  /**
+   * Records the placeholder of a portal as the parent of its top-level nodes, for event bubbling
+   * @param {Object} elem - Virtual portal
+   * @param {Comment} placeholder - Comment standing in for the portal in its parent
+   * @private
+   */
+  linkPortalChildren(elem, placeholder) {
+    for (const child of elem.children) {
+      const node = this.getDomElement(child);
+      if (node) {
+        this.portalParents.set(node, placeholder);
+      }
+    }
+  }
+
+  /**
+   * Removes the children of a portal from its target, and stops delegating
+   * events there once no portal renders into it
+   * @param {Object} elem - Virtual portal
+   * @private
+   */
+  unmountPortal(elem) {
+    const portal = this.portals.get(elem);
+    if (!portal) {
+      return;
+    }
+    const { target, marker } = portal;
+    for (const child of elem.children) {
+      const node = this.getDomElement(child);
+      this.unmountTree(child);
+      if (node && node.parentNode === target) {
+        target.removeChild(node);
+      }
+    }
+    if (marker.parentNode === target) {
+      target.removeChild(marker);
+    }
+    const count = this.portalTargets.get(target) - 1;
+    if (count > 0) {
+      this.portalTargets.set(target, count);
+    } else {
+      this.portalTargets.delete(target);
+      if (target !== this.topElement) {
+        this.events.removeRoot(target);
+      }
+    }
+  }
+
+  /**
+   * Runs unmount callbacks for every component inside a virtual subtree and clears its refs
+   * @param {Object} elem - Root of the virtual subtree being removed
+   * @private
+   */
+  unmountTree(elem) {
+    if (typeof elem.tag === "function") {
+      const instance = this.componentInstances.get(elem);
+      if (instance) {
+        instance.unmount(this.getDomElement(elem));
+        if (instance.rendered) {
+          this.unmountTree(instance.rendered);
+        }
+      }
+      return;
+    }
+    if (elem.tag === PORTAL) {
+      this.unmountPortal(elem);
+      return;
+    }
+    if (elem.attributes.ref) {
+      detachRef(elem.attributes.ref, this.virtualToDomMap.get(elem));
+    }
+    for (const child of elem.children) {
+      this.unmountTree(child);
+    }
+  }
+
+  /**
+   * Converts a virtual element object to an actual HTML DOM element
+   * @param {Object} elem - Virtual element object with tag, attributes, innerText, and children
+   * @param {string} elem.tag - HTML tag name
+   * @param {Object} elem.attributes - Element attributes and event handlers
+   * @param {string} [elem.innerText] - Text content
+   * @param {Array<Object>} elem.children - Array of child virtual elements
+   * @param {string|null} [namespace=null] - Namespace the element's parent creates children in.
+   * `svg` and `math` elements start their own namespace, which their children inherit.
+   * @returns {HTMLElement} Created DOM element with all attributes and children applied
+   * @throws {Error} Throws if elem is not an object or attributes are invalid
+   */
+  elementToHtmlElement(elem, namespace = null) {
+    if (typeof elem !== "object") {
+      throw new Error(`Error: ${elem} is not an object`);
+    }
+    if (typeof elem.tag === "function") {
+      return this.mountComponent(elem, namespace);
+    }
+    if (elem.tag === TEXT || elem.tag === EMPTY || elem.tag === PORTAL) {
+      const node =
+        elem.tag === TEXT
+          ? document.createTextNode(elem.innerText)
+          : document.createComment("");
+      this.virtualToDomMap.set(elem, node);
+      this.domToVirtualMap.set(node, elem);
+      if (elem.tag === PORTAL) {
+        this.mountPortal(elem, node);
+      }
+      return node;
+    }
+    if (elem.tag === "svg") {
+      namespace = SVG_NAMESPACE;
+    } else if (elem.tag === "math") {
+      namespace = MATHML_NAMESPACE;
+    }
+    // Fix: use elem.tag instead of elem.state.tag
+    const returnElement = namespace
+      ? document.createElementNS(namespace, elem.tag)
+      : document.createElement(elem.tag);
+
+    // Set up tracking without DOM attributes
+    this.virtualToDomMap.set(elem, returnElement);
+    this.domToVirtualMap.set(returnElement, elem);
+    this.registerEvents(elem.attributes);
+
+    if (elem.innerText) {
+      // A dedicated text node lets the patcher update the text in place
+      returnElement.appendChild(document.createTextNode(elem.innerText));
+    }
 
-    // Handle cursor positioning for text inputs
     if (
-      cursorPosition === "end" &&
-      element.type === "text" &&
-      typeof element.setSelectionRange === "function"
+      !elem.attributes ||
+      typeof elem.attributes !== "object" ||
+      elem.attributes === null ||
+      elem.attributes instanceof NamedNodeMap ||
+      Array.isArray(elem.attributes)
     ) {
-      const length = element.value.length;
-      element.setSelectionRange(length, length);
-    } else if (
-      cursorPosition === "select" &&
-      typeof element.select === "function"
+      throw new Error("Error: elem.attributes is not a plain object");
+    }
+
+    for (const [attrName, attrValue] of Object.entries(elem.attributes)) {
+      setElementAttribute(returnElement, attrName, attrValue);
+    }
+
+    const childNamespace = getChildNamespace(returnElement);
+    this.claimChildren(elem.children).forEach((child) => {
+      returnElement.appendChild(this.elementToHtmlElement(child, childNamespace));
+    });
+    // Selects need their options before a value can be shown
+    syncSelectValue(returnElement, elem.attributes);
+    this.applyBinding(returnElement, elem.attributes);
+    if (elem.attributes.ref) {
+      this.pendingRefs.push({ ref: elem.attributes.ref, element: returnElement });
+    }
+
+    return returnElement;
+  }
+
+  /**
+   * Patches a virtual element in place, replacing its DOM element if the tag changed
+   * @param {Object} oldElem - Virtual element rendered previously
+   * @param {Object} newElem - Virtual element to render now
+   * @returns {HTMLElement} DOM element now representing newElem
+   * @private
+   */
+  patchNode(oldElem, newElem) {
+    if (oldElem.tag === newElem.tag) {
+      return this.patchElement(oldElem, newElem);
+    }
+    const oldElement = this.getDomElement(oldElem);
+    const namespace =
+      oldElement && oldElement.parentNode ? getChildNamespace(oldElement.parentNode) : null;
+    const element = this.elementToHtmlElement(newElem, namespace);
+    this.unmountTree(oldElem);
+    if (oldElement && oldElement.parentNode) {
+      oldElement.parentNode.replaceChild(element, oldElement);
+    }
+    return element;
+  }
+
+  /**
+   * Patches an existing DOM element so it matches a new virtual element of the same tag
+   * @param {Object} oldElem - Virtual element rendered previously
+   * @param {Object} newElem - Virtual element to render now
+   * @returns {HTMLElement} The reused DOM element
+   * @private
+   */
+  patchElement(oldElem, newElem) {
+    if (typeof newElem.tag === "function") {
+      return this.patchComponent(oldElem, newElem);
+    }
+    const element = this.virtualToDomMap.get(oldElem);
+    this.virtualToDomMap.set(newElem, element);
+    this.domToVirtualMap.set(element, newElem);
+    if (newElem.tag === PORTAL) {
+      this.patchPortal(oldElem, newElem, element);
+      return element;
+    }
+    if (newElem.tag === TEXT || newElem.tag === EMPTY) {
+      if (element.data !== (newElem.innerText || "")) {
+        element.data = newElem.innerText || "";
+      }
+      return element;
+    }
+    this.registerEvents(newElem.attributes);
+
+    patchAttributes(element, oldElem.attributes, newElem.attributes);
+    patchText(element, oldElem.innerText, newElem.innerText);
+    // The children follow the element's own text node, if it has one
+    this.patchChildren(element, oldElem.children, newElem.children, newElem.innerText ? element.firstChild : null);
+    syncSelectValue(element, newElem.attributes);
+    this.applyBinding(element, newElem.attributes);
+    const oldRef = oldElem.attributes.ref;
+    const newRef = newElem.attributes.ref;
+    if (oldRef !== newRef) {
+      if (oldRef) {
+        detachRef(oldRef, element);
+      }
+      if (newRef) {
+        this.pendingRefs.push({ ref: newRef, element: element });
+      }
+    }
+    return element;
+  }
+
+  /**
+   * Reconciles a list of child virtual elements against the previous render.
+   * Children with a `key` attribute are matched by key and moved when reordered,
+   * the rest are matched by position among the unkeyed children. Matches with the
+   * same tag are patched in place, everything else is created or removed.
+   * @param {Element} parent - DOM element holding the children
+   * @param {Array<Object>} oldChildren - Virtual children rendered previously
+   * @param {Array<Object>} newChildren - Virtual children to render now
+   * @param {Node|null} [after=null] - Node the children follow, when they don't start the parent
+   * @private
+   */
+  patchChildren(parent, oldChildren, newChildren, after = null) {
+    this.claimChildren(newChildren);
+    const oldKeyed = new Map();
+    const oldUnkeyed = [];
+    for (const child of oldChildren) {
+      const key = getKey(child);
+      if (key === null) {
+        oldUnkeyed.push(child);
+      } else {
+        oldKeyed.set(key, child);
+      }
+    }
+
+    const reused = new Set();
+    const namespace = getChildNamespace(parent);
+    let unkeyedIndex = 0;
+    const nextNodes = newChildren.map((child) => {
+      const key = getKey(child);
+      let match;
+      if (key === null) {
+        match = oldUnkeyed[unkeyedIndex++];
+      } else {
+        match = oldKeyed.get(key);
+        oldKeyed.delete(key);
+      }
+      if (match && match.tag === child.tag) {
+        reused.add(match);
+        return this.patchElement(match, child);
+      }
+      return this.elementToHtmlElement(child, namespace);
+    });
+
+    for (const child of oldChildren) {
+      if (!reused.has(child)) {
+        const element = this.getDomElement(child);
+        this.unmountTree(child);
+        if (element && element.parentNode === parent) {
+          parent.removeChild(element);
+        }
+      }
+    }
+
+    // Walk the DOM in the new order, moving or inserting nodes only where they differ
+    let anchor = after ? after.nextSibling : parent.firstChild;
+    for (const node of nextNodes) {
+      if (node === anchor) {
+        anchor = anchor.nextSibling;
+      } else {
+        parent.insertBefore(node, anchor);
+      }
+    }
+  }
+
+  /**
+   * Updates the DOM to match a new list of virtual elements.
+   * On the first render into topElement its content is replaced; afterwards the
+   * previous vDOM is diffed against the new one and only the differences are patched,
+   * which preserves focus, caret position, scroll offsets and CSS transitions.
+   * @param {HTMLElement} [topElement=document.body] - Root element to update
+   * @param {Array<*>} attachElements - Virtual elements to render; text, fragments, null and false are accepted like children
+   * @throws {Error} Throws if attachElements is not an array or contains invalid elements
+   */
+  updateDom(topElement = document.body, attachElements) {
+    if (!attachElements || !Array.isArray(attachElements)) {
+      throw new Error("Error: attachElements is not an array");
+    }
+    // Render functions may return text, fragments and skipped values like children do
+    const elements = normalizeChildren(attachElements);
+
+    if (this.topElement !== topElement) {
+      this.unmountRoot();
+    }
+    this.events.addRoot(topElement);
+    if (this.vDOM) {
+      this.patchChildren(topElement, this.vDOM, elements);
+    } else {
+      topElement.innerHTML = "";
+      const namespace = getChildNamespace(topElement);
+      for (const element of this.claimChildren(elements)) {
+        topElement.appendChild(this.elementToHtmlElement(element, namespace));
+      }
+    }
+
+    this.vDOM = elements;
+    this.topElement = topElement;
+    this.flushCommits();
+  }
+
+  /**
+   * Unmounts what this renderer last rendered and stops delegating events from its
+   * root, before it renders into another root. The old root's DOM is left as it is.
+   * @private
+   */
+  unmountRoot() {
+    if (this.vDOM) {
+      for (const elem of this.vDOM) {
+        this.unmountTree(elem);
+      }
+    }
+    if (this.topElement && !this.portalTargets.has(this.topElement)) {
+      this.events.removeRoot(this.topElement);
+    }
+    this.vDOM = null;
+    this.topElement = null;
+  }
+
+  /**
+   * Adopts DOM that was rendered ahead of time (e.g. with renderToString) instead of
+   * rebuilding it. Existing nodes are matched against the virtual elements, event
+   * handlers and bookkeeping are attached in place, and later renders patch as usual.
+   * Nodes that don't match are fixed up, and reported when the renderer runs in dev mode.
+   * @param {HTMLElement} topElement - Root element holding the pre-rendered markup
+   * @param {Array<*>} attachElements - Virtual elements of the first render
+   * @throws {Error} Throws if attachElements is not an array or contains invalid elements
+   */
+  hydrate(topElement, attachElements) {
+    if (!attachElements || !Array.isArray(attachElements)) {
+      throw new Error("Error: attachElements is not an array");
+    }
+    // Render functions may return text, fragments and skipped values like children do
+    const elements = normalizeChildren(attachElements);
+
+    this.unmountRoot();
+    this.events.addRoot(topElement);
+    this.hydrateChildren(topElement, elements, topElement.firstChild);
+
+    this.vDOM = elements;
+    this.topElement = topElement;
+    this.flushCommits();
+  }
+
+  /**
+   * Reports a hydration mismatch in dev mode
+   * @param {string} message - What did not match
+   * @param {Node|null} node - Offending DOM node
+   * @private
+   */
+  reportMismatch(message, node) {
+    if (this.dev) {
+      console.warn(`Hydration mismatch: ${message}`, node);
+    }
+  }
+
+  /**
+   * Hydrates a list of children starting at a DOM node. Whitespace-only text and
+   * comments between elements are dropped, leftover nodes are removed.
+   * @param {Element} parent - DOM element holding the children
+   * @param {Array<Object>} children - Virtual children
+   * @param {Node|null} startNode - First DOM node of the children
+   * @private
+   */
+  hydrateChildren(parent, children, startNode) {
+    this.claimChildren(children);
+    let node = startNode;
+    for (const child of children) {
+      // Components are matched once they rendered, in hydrateElement
+      node = skipIgnorableNodes(node, typeof child.tag === "function" ? null : child);
+      const element = this.hydrateElement(child, node, parent);
+      node = element.nextSibling;
+    }
+    node = skipIgnorableNodes(node);
+    while (node) {
+      const next = skipIgnorableNodes(node.nextSibling);
+      this.reportMismatch(`unexpected node in <${parent.tagName.toLowerCase()}>`, node);
+      parent.removeChild(node);
+      node = next;
+    }
+  }
+
+  /**
+   * Hydrates one virtual element against an existing DOM node, replacing the node if its tag differs
+   * @param {Object} elem - Virtual element
+   * @param {Node|null} node - DOM node expected to represent it
+   * @param {Element} parent - Parent DOM element
+   * @returns {HTMLElement} DOM element now representing elem
+   * @private
+   */
+  hydrateElement(elem, node, parent) {
+    if (typeof elem.tag === "function") {
+      const instance = this.createComponentInstance(elem);
+      node = skipIgnorableNodes(node, instance.rendered);
+      const element = this.hydrateElement(instance.rendered, node, parent);
+      this.pendingCommits.push(instance);
+      return element;
+    }
+
+    if (elem.tag === TEXT || elem.tag === EMPTY || elem.tag === PORTAL) {
+      let adopted =
+        elem.tag === TEXT
+          ? claimText(node, elem.innerText)
+          : node && node.nodeType === Node.COMMENT_NODE
+          ? node
+          : null;
+      if (!adopted) {
+        if (elem.tag !== TEXT || elem.innerText) {
+          this.reportMismatch(
+            elem.tag === TEXT
+              ? `expected text "${elem.innerText}"`
+              : elem.tag === PORTAL
+              ? "expected portal placeholder"
+              : "expected empty component",
+            node
+          );
+        }
+        // Empty texts render nothing on the server, so they are created without a mismatch
+        adopted = this.elementToHtmlElement(elem, getChildNamespace(parent));
+        parent.insertBefore(adopted, node);
+        return adopted;
+      }
+      this.virtualToDomMap.set(elem, adopted);
+      this.domToVirtualMap.set(adopted, elem);
+      if (elem.tag === PORTAL) {
+        // Portal content is not server-rendered, it is created in the target now
+        this.mountPortal(elem, adopted);
+      }
+      return adopted;
+    }
+
+    if (
+      !node ||
+      node.nodeType !== Node.ELEMENT_NODE ||
+      node.tagName.toLowerCase() !== elem.tag.toLowerCase()
     ) {
-      element.select();
+      this.reportMismatch(`expected <${elem.tag}>`, node);
+      const created = this.elementToHtmlElement(elem, getChildNamespace(parent));
+      if (node) {
+        parent.replaceChild(created, node);
+      } else {
+        parent.appendChild(created);
+      }
+      return created;
+    }
+
+    this.virtualToDomMap.set(elem, node);
+    this.domToVirtualMap.set(node, elem);
+    this.registerEvents(elem.attributes);
+    this.hydrateAttributes(node, elem.attributes);
+
+    let firstChild = node.firstChild;
+    // claimText splits text children off a matching leading text
+    if (elem.innerText && !claimText(firstChild, elem.innerText)) {
+      if (firstChild && firstChild.nodeType === Node.TEXT_NODE) {
+        this.reportMismatch(`text "${firstChild.data}" should be "${elem.innerText}"`, node);
+        firstChild.data = elem.innerText;
+      } else {
+        this.reportMismatch(`missing text "${elem.innerText}"`, node);
+        firstChild = node.insertBefore(document.createTextNode(elem.innerText), firstChild);
+      }
+    }
+    if (elem.innerText) {
+      firstChild = firstChild.nextSibling;
+    }
+    if (node.tagName !== "TEXTAREA" || !("value" in elem.attributes)) {
+      // A textarea's value is rendered as its content by renderToString
+      this.hydrateChildren(node, elem.children, firstChild);
     }
+    syncSelectValue(node, elem.attributes);
+    this.applyBinding(node, elem.attributes);
+    if (elem.attributes.ref) {
+      this.pendingRefs.push({ ref: elem.attributes.ref, element: node });
+    }
+    return node;
+  }
 
-    return true;
+  /**
+   * Checks the attributes of a pre-rendered element, as renderToString writes them,
+   * and applies the checked property.
+   * @param {HTMLElement} element - Pre-rendered DOM element
+   * @param {Object} attributes - Attributes of its virtual element
+   * @private
+   */
+  hydrateAttributes(element, attributes) {
+    for (const [attrName, attrValue] of Object.entries(attributes)) {
+      if (attrName === "key" || attrName === "bind" || attrName === "ref") {
+        continue;
+      }
+      if (isEventHandler(attrName, attrValue)) {
+        continue;
+      }
+      if (isPropertyAttribute(element, attrName)) {
+        // Properties may differ from their serialized attribute, always apply them
+        setElementAttribute(element, attrName, attrValue);
+        continue;
+      }
+      const expected = serializeAttribute(attrName, attrValue);
+      const actual = element.getAttribute(attrName);
+      // A bare boolean attribute may be written with any value, e.g. disabled="disabled"
+      const matches =
+        expected === "" && attrValue === true ? actual !== null : actual === expected;
+      if (!matches) {
+        this.reportMismatch(`attribute ${attrName}="${actual}" should be "${expected}"`, element);
+        setElementAttribute(element, attrName, attrValue);
+      }
+    }
+    for (const { name } of [...element.attributes]) {
+      // Attributes for the initial state of properties, like selected on options, are expected
+      if (!(name in attributes) && !isPropertyAttribute(element, name)) {
+        this.reportMismatch(`unexpected attribute ${name}`, element);
+        element.removeAttribute(name);
+      }
+    }
   }
-  return false;
+}
+
+/** @type {Renderer} Renderer used by the standalone DOM functions, bound to the global state */
+const defaultRenderer = new Renderer(globalStorage, renderScheduler);
+
+/**
+ * Converts a virtual element object to an actual HTML DOM element, see Renderer#elementToHtmlElement
+ * @param {Object} elem - Virtual element object with tag, attributes, innerText, and children
+ * @returns {HTMLElement} Created DOM element with all attributes and children applied
+ * @throws {Error} Throws if elem is not an object or attributes are invalid
+ */
+export function elementToHtmlElement(elem) {
+  return defaultRenderer.elementToHtmlElement(elem);
+}
+
+/**
+ * Updates the DOM to match a new list of virtual elements, see Renderer#updateDom.
+ * Bookkeeping goes to the global state; apps use their own renderer instead.
+ * @param {HTMLElement} [topElement=document.body] - Root element to update
+ * @param {Array<Object>} attachElements - Array of virtual elements to render
+ * @throws {Error} Throws if attachElements is not an array or contains invalid elements
+ */
+export function updateDom(topElement = document.body, attachElements) {
+  defaultRenderer.updateDom(topElement, attachElements);
+}
+
+/**
+ * Returns the virtual element a DOM element was rendered from by updateDom
+ * @param {Node} domElement - DOM element to look up
+ * @returns {Object|undefined} Virtual element, or undefined if the element was not created by updateDom
+ */
+export function getVirtualElement(domElement) {
+  return defaultRenderer.getVirtualElement(domElement);
+}
+
+/**
+ * Finds an element using any CSS selector, or resolves a ref, see Renderer#findElement
+ * @param {string|Object|Element} selector - CSS selector string, ref object created by createRef, or element
+ * @param {Element} [rootElement=null] - Root element to search within, defaults to the root updateDom last rendered into
+ * @returns {Element|null} Found element or null if not found
+ */
+export function findElement(selector, rootElement = null) {
+  return defaultRenderer.findElement(selector, rootElement);
+}
+
+/**
+ * Sets focus on an element with optional cursor positioning, see Renderer#focusElement
+ * @param {string|Object|Element} selector - CSS selector, ref object or element to focus
+ * @param {string} [cursorPosition='default'] - Cursor position: 'default', 'end', or 'select'
+ * @param {Element} [rootElement=null] - Root element to search within, defaults to the root updateDom last rendered into
+ * @returns {boolean} True if element was found and focused, false otherwise
+ */
+export function focusElement(selector, cursorPosition = "default", rootElement = null) {
+  return defaultRenderer.focusElement(selector, cursorPosition, rootElement);
 }
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview Delegated event handling for the mini-framework
+ * @version 1.0.0
+ * @author AJA!
+ */
+
+/** @type {Set<string>} Events that don't bubble; their root listeners use the capture phase instead */
+const NON_BUBBLING = new Set([
+  "focus",
+  "blur",
+  "mouseenter",
+  "mouseleave",
+  "pointerenter",
+  "pointerleave",
+  "load",
+  "error",
+  "scroll",
+  "play",
+  "pause",
+  "ended",
+  "timeupdate",
+  "volumechange",
+  "invalid",
+  "toggle",
+]);
+
+/** @type {Object<string, string>} Key modifier aliases mapped to KeyboardEvent.key values (lowercased) */
+const KEY_ALIASES = {
+  enter: "enter",
+  esc: "escape",
+  escape: "escape",
+  tab: "tab",
+  space: " ",
+  up: "arrowup",
+  down: "arrowdown",
+  left: "arrowleft",
+  right: "arrowright",
+  delete: "delete",
+  backspace: "backspace",
+};
+
+/** @type {Array<string>} Modifier keys, named like their KeyboardEvent flags without the "Key" suffix */
+const SYSTEM_KEYS = ["ctrl", "shift", "alt", "meta"];
+
+/** @type {Set<string>} Attribute modifiers that become listener options */
+const OPTION_MODIFIERS = new Set(["capture", "passive", "once"]);
+
+/** @type {Set<string>} Attribute modifiers that act on the event before the handler runs */
+const EVENT_MODIFIERS = new Set(["prevent", "stop", "self"]);
+
+/**
+ * Checks whether an event's key matches a key name or alias
+ * @param {KeyboardEvent} event - Keyboard event
+ * @param {string} key - Key name such as "enter", "esc" or "z"
+ * @returns {boolean} True if the pressed key matches
+ * @private
+ */
+function matchesKey(event, key) {
+  const name = KEY_ALIASES[key] || key;
+  return typeof event.key === "string" && event.key.toLowerCase() === name;
+}
+
+/**
+ * Checks whether a keyboard event matches a key combination such as "ctrl+z" or "shift+?".
+ * Modifier keys must be pressed exactly as listed; "mod" stands for meta on Mac and ctrl elsewhere.
+ * @param {KeyboardEvent} event - Keyboard event
+ * @param {string} combo - Keys joined by "+", case-insensitive
+ * @returns {boolean} True if the event matches the combination
+ */
+export function matchesKeyCombo(event, combo) {
+  const parts = combo.toLowerCase().split("+");
+  const key = parts.pop() || "+";
+  const isMac = typeof navigator !== "undefined" && /Mac|iP(hone|ad|od)/.test(navigator.platform);
+  const required = parts.map((part) => (part === "mod" ? (isMac ? "meta" : "ctrl") : part));
+  return (
+    SYSTEM_KEYS.every((name) => event[`${name}Key`] === required.includes(name)) &&
+    matchesKey(event, key)
+  );
+}
+
+/**
+ * Checks whether an attribute describes an event handler.
+ * Handlers are functions, or objects of the form `{ handler, capture, passive, once }`.
+ * The name may carry modifiers after the event type, e.g. "onkeydown.enter.prevent".
+ * @param {string} attrName - Attribute name
+ * @param {*} attrValue - Attribute value
+ * @returns {boolean} True if the attribute is an on* event handler
+ */
+export function isEventHandler(attrName, attrValue) {
+  return (
+    attrName.startsWith("on") &&
+    (typeof attrValue === "function" ||
+      (typeof attrValue === "object" &&
+        attrValue !== null &&
+        typeof attrValue.handler === "function"))
+  );
+}
+
+/**
+ * Reads the event type, handler, listener options and modifiers of an event handler attribute.
+ * Modifiers "capture", "passive" and "once" are shorthands for the listener options.
+ * @param {string} attrName - Attribute name such as "onclick" or "onkeydown.enter"
+ * @param {Function|Object} attrValue - Handler function or `{ handler, capture, passive, once }`
+ * @returns {{type: string, handler: Function, capture: boolean, passive: boolean, once: boolean, modifiers: Array<string>}} Parsed handler
+ * @private
+ */
+function parseHandler(attrName, attrValue) {
+  const options = typeof attrValue === "function" ? { handler: attrValue } : attrValue;
+  const [type, ...modifiers] = attrName.substring(2).toLowerCase().split(".");
+  return {
+    type: type,
+    handler: options.handler,
+    capture: Boolean(options.capture) || modifiers.includes("capture"),
+    passive: Boolean(options.passive) || modifiers.includes("passive"),
+    once: Boolean(options.once) || modifiers.includes("once"),
+    modifiers: modifiers.filter((modifier) => !OPTION_MODIFIERS.has(modifier)),
+  };
+}
+
+/**
+ * Applies the modifiers of a handler to an event
+ * @param {Event} event - Native event
+ * @param {Element} element - Element the handler is declared on
+ * @param {Array<string>} modifiers - Modifiers from the attribute name
+ * @returns {boolean} True if the handler should run; key and "self" modifiers filter events,
+ * "prevent" and "stop" call preventDefault() and stopPropagation() for the events that pass
+ * @private
+ */
+function applyModifiers(event, element, modifiers) {
+  const keys = modifiers.filter((modifier) => !EVENT_MODIFIERS.has(modifier));
+  const systemKeys = keys.filter((key) => SYSTEM_KEYS.includes(key));
+  const otherKeys = keys.filter((key) => !SYSTEM_KEYS.includes(key));
+  if (
+    (modifiers.includes("self") && event.target !== element) ||
+    !systemKeys.every((key) => event[`${key}Key`]) ||
+    (otherKeys.length > 0 && !otherKeys.some((key) => matchesKey(event, key)))
+  ) {
+    return false;
+  }
+  if (modifiers.includes("prevent")) {
+    event.preventDefault();
+  }
+  if (modifiers.includes("stop")) {
+    event.stopPropagation();
+  }
+  return true;
+}
+
+/**
+ * Dispatches DOM events to the handlers declared on virtual elements.
+ * Instead of one listener per element and render, each root gets a single listener
+ * per event type (and capture/passive combination) that walks from the event target
+ * up to the root and calls the handlers found on the matching virtual elements.
+ * Non-bubbling events like focus and blur are caught in the capture phase and only
+ * reach the target's own handler.
+ * @class EventDelegator
+ * @example
+ * const events = new EventDelegator((node) => domToVirtualMap.get(node));
+ * events.addRoot(document.querySelector("#app"));
+ * events.register({ onclick: save, onscroll: { handler: track, passive: true } });
+ */
+export class EventDelegator {
+  /**
+   * Creates a new EventDelegator instance
+   * @param {Function} getVirtualElement - Returns the virtual element rendered for a DOM node, or undefined
+   * @param {Function} [getImplicitHandlers] - Returns extra on* handlers for (element, virtualElement),
+   * run before the ones in its attributes, or null
+   * @param {Function} [getParent] - Returns the node an event bubbles to from a node, its parentNode by default
+   */
+  constructor(getVirtualElement, getImplicitHandlers = () => null, getParent = (node) => node.parentNode) {
+    /** @type {Function} Looks up the virtual element of a DOM node */
+    this.getVirtualElement = getVirtualElement;
+    /** @type {Function} Looks up handlers an element has without declaring them */
+    this.getImplicitHandlers = getImplicitHandlers;
+    /** @type {Function} Looks up the node an event bubbles to */
+    this.getParent = getParent;
+    /** @type {Map<string, Object>} Listener kinds in use, keyed by type, capture and passive */
+    this.kinds = new Map();
+    /** @type {Map<Element, Map<string, Function>>} Root elements and their installed listeners by kind */
+    this.roots = new Map();
+    /** @type {WeakMap<Element, Set<string>>} once-handlers that already ran, by element and attribute name */
+    this.firedOnce = new WeakMap();
+  }
+
+  /**
+   * Starts delegating events inside a root element. Adding a root twice has no effect.
+   * @param {Element} root - Element whose descendants' handlers are dispatched
+   */
+  addRoot(root) {
+    if (this.roots.has(root)) {
+      return;
+    }
+    this.roots.set(root, new Map());
+    for (const [id, kind] of this.kinds) {
+      this.attach(root, id, kind);
+    }
+  }
+
+  /**
+   * Stops delegating events inside a root element and removes its listeners
+   * @param {Element} root - Previously added root element
+   */
+  removeRoot(root) {
+    const listeners = this.roots.get(root);
+    if (!listeners) {
+      return;
+    }
+    for (const [id, listener] of listeners) {
+      const kind = this.kinds.get(id);
+      root.removeEventListener(kind.type, listener, {
+        capture: kind.useCapture,
+        passive: kind.passive,
+      });
+    }
+    this.roots.delete(root);
+  }
+
+  /**
+   * Makes sure every root listens for the events handled in a set of attributes
+   * @param {Object} attributes - Attributes of a rendered virtual element
+   */
+  register(attributes) {
+    for (const [attrName, attrValue] of Object.entries(attributes)) {
+      if (isEventHandler(attrName, attrValue)) {
+        const { type, capture, passive } = parseHandler(attrName, attrValue);
+        this.listen(type, capture, passive);
+      }
+    }
+  }
+
+  /**
+   * Installs a root listener for one kind of handler if none exists yet
+   * @param {string} type - Event type, e.g. "click"
+   * @param {boolean} [capture=false] - Listen for capture-phase handlers
+   * @param {boolean} [passive=false] - Listen for passive handlers
+   */
+  listen(type, capture = false, passive = false) {
+    const id = `${type}:${capture}:${passive}`;
+    if (this.kinds.has(id)) {
+      return;
+    }
+    const kind = {
+      type: type,
+      capture: capture,
+      passive: passive,
+      useCapture: capture || NON_BUBBLING.has(type),
+    };
+    this.kinds.set(id, kind);
+    for (const root of this.roots.keys()) {
+      this.attach(root, id, kind);
+    }
+  }
+
+  /**
+   * Adds the native listener of a handler kind to a root
+   * @param {Element} root - Root element
+   * @param {string} id - Kind identifier
+   * @param {Object} kind - Event type and listener options
+   * @private
+   */
+  attach(root, id, kind) {
+    const listener = (event) => this.dispatch(event, root, kind);
+    root.addEventListener(kind.type, listener, {
+      capture: kind.useCapture,
+      passive: kind.passive,
+    });
+    this.roots.get(root).set(id, listener);
+  }
+
+  /**
+   * Calls the handlers of one kind along the path from the event target to the root.
+   * Capture handlers run root first, bubbling handlers target first; stopPropagation()
+   * stops the walk. While a handler runs, `event.currentTarget` is its element.
+   * When roots are nested, only the innermost root around the target dispatches the event.
+   * @param {Event} event - Native event caught on the root
+   * @param {Element} root - Root the listener is installed on
+   * @param {Object} kind - Event type and listener options
+   * @private
+   */
+  dispatch(event, root, kind) {
+    let owner = event.target;
+    while (owner && !this.roots.has(owner)) {
+      owner = owner.parentNode;
+    }
+    if (owner !== root) {
+      return;
+    }
+    const path = [];
+    for (let node = event.target; node; node = this.getParent(node)) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        path.push(node);
+      }
+      if (node === root) {
+        break;
+      }
+    }
+    if (kind.capture) {
+      path.reverse();
+    } else if (kind.useCapture) {
+      // A non-bubbling event only reaches the handler of its target
+      path.length = Math.min(path.length, 1);
+      if (path[0] !== event.target) {
+        return;
+      }
+    }
+
+    try {
+      for (const element of path) {
+        const elem = this.getVirtualElement(element);
+        if (elem) {
+          Object.defineProperty(event, "currentTarget", { configurable: true, value: element });
+          const implicit = this.getImplicitHandlers(element, elem);
+          if (implicit) {
+            this.callHandlers(event, element, implicit, kind);
+          }
+          this.callHandlers(event, element, elem.attributes, kind);
+        }
+        if (event.cancelBubble) {
+          break;
+        }
+      }
+    } finally {
+      // Restore the native currentTarget getter
+      delete event.currentTarget;
+    }
+  }
+
+  /**
+   * Calls the handlers of an element's attributes that match a handler kind
+   * @param {Event} event - Native event
+   * @param {Element} element - Element the handlers are declared on
+   * @param {Object} attributes - Attributes of its virtual element
+   * @param {Object} kind - Event type and listener options
+   * @private
+   */
+  callHandlers(event, element, attributes, kind) {
+    for (const [attrName, attrValue] of Object.entries(attributes)) {
+      if (!isEventHandler(attrName, attrValue)) {
+        continue;
+      }
+      const handler = parseHandler(attrName, attrValue);
+      if (
+        handler.type !== kind.type ||
+        handler.capture !== kind.capture ||
+        handler.passive !== kind.passive
+      ) {
+        continue;
+      }
+      if (!applyModifiers(event, element, handler.modifiers)) {
+        continue;
+      }
+      if (handler.once) {
+        const fired = this.firedOnce.get(element) || new Set();
+        if (fired.has(attrName)) {
+          continue;
+        }
+        fired.add(attrName);
+        this.firedOnce.set(element, fired);
+      }
+      handler.handler.call(element, event);
+    }
+  }
+}
@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Form state, validation and submission for the mini-framework
+ * @version 1.0.0
+ * @author AJA!
+ */
+
+import { globalStorage, getPath, shallowEqual } from "./state.js";
+
+/**
+ * Runs the validators of one field and returns the first error message. Validators
+ * run synchronously until one returns a promise; only then is the result a promise.
+ * @param {Function|Array<Function>} validators - Functions of (value, values) returning a message,
+ * or a promise of one, for invalid values and anything falsy for valid ones
+ * @param {*} value - Field value
+ * @param {Object} values - All form values
+ * @returns {string|null|Promise<string|null>} First error message, or null if the value is valid
+ * @private
+ */
+function runValidators(validators, value, values) {
+  const list = [].concat(validators || []);
+  for (let index = 0; index < list.length; index++) {
+    const message = list[index](value, values);
+    if (message && typeof message.then === "function") {
+      return message.then((resolved) =>
+        resolved ? String(resolved) : runValidators(list.slice(index + 1), value, values)
+      );
+    }
+    if (message) {
+      return String(message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Turns a thrown value into the message stored for it
+ * @param {*} error - Error thrown by a validator or the submit handler
+ * @returns {string} Error message
+ * @private
+ */
+function toMessage(error) {
+  return error && error.message ? error.message : String(error);
+}
+
+/**
+ * Form state kept in a State under one path, so views re-render as it changes.
+ * The state at the path holds `values`, `errors`, `touched`, `validating`,
+ * `isSubmitting`, `submitCount` and `submitError`. Inputs are tied to the values with `bind`.
+ * @class Form
+ * @example
+ * const signup = createForm({
+ *   state: app.store,
+ *   path: "signup",
+ *   initialValues: { email: "", password: "" },
+ *   validators: {
+ *     email: [(value) => !value && "Required", async (value) => (await isTaken(value)) && "Already registered"],
+ *     password: (value) => value.length < 8 && "At least 8 characters",
+ *   },
+ *   onSubmit: (values) => api.register(values),
+ * });
+ * createVirtualElement("form", signup.formAttributes(), "", [
+ *   createVirtualElement("input", { type: "email", ...signup.field("email") }, "", []),
+ *   createVirtualElement("span", { class: "error" }, signup.error("email") || "", []),
+ * ]);
+ */
+export class Form {
+  /**
+   * Creates a new Form instance and stores its initial state
+   * @param {Object} options - Form options
+   * @param {string} options.path - State path the form state is stored under, e.g. "signup"
+   * @param {Object} [options.initialValues={}] - Initial field values
+   * @param {Object<string, Function|Array<Function>>} [options.validators={}] - Validators by field name,
+   * each called with (value, values) and returning an error message (or a promise of one) when invalid
+   * @param {Function} [options.onSubmit] - Called with the values when a submitted form is valid; may be async
+   * @param {State} [options.state=globalStorage] - State holding the form, usually `app.store`
+   * @throws {Error} Throws if no path is given
+   */
+  constructor(options) {
+    if (!options || !options.path) {
+      throw new Error("Error: a form needs a state path");
+    }
+    /** @type {State} State holding the form */
+    this.store = options.state || globalStorage;
+    /** @type {string} State path of the form state */
+    this.path = options.path;
+    /** @type {Object} Values the form starts from and compares against for dirty checks */
+    this.initialValues = { ...(options.initialValues || {}) };
+    /** @type {Object<string, Function|Array<Function>>} Validators by field name */
+    this.validators = options.validators || {};
+    /** @type {Function|null} Submit handler */
+    this.onSubmit = options.onSubmit || null;
+    /** @type {Object<string, number>} Latest validation run per field, to drop stale async results */
+    this.validationRuns = {};
+    this.reset();
+    /** @type {Function} Removes the subscription that re-validates touched fields */
+    this.unsubscribe = this.store.subscribe(
+      (state) => getPath(state, `${this.path}.values`),
+      (values, previous) => this.handleValuesChange(values, previous || {})
+    );
+  }
+
+  /**
+   * Current form state
+   * @type {{values: Object, errors: Object, touched: Object, validating: Object, isSubmitting: boolean, submitCount: number, submitError: string|null}}
+   */
+  get state() {
+    return getPath(this.store.getState(), this.path);
+  }
+
+  /**
+   * Current field values
+   * @type {Object}
+   */
+  get values() {
+    return this.state.values;
+  }
+
+  /**
+   * Current error messages by field name
+   * @type {Object<string, string>}
+   */
+  get errors() {
+    return this.state.errors;
+  }
+
+  /**
+   * Whether no field has an error
+   * @type {boolean}
+   */
+  get isValid() {
+    return Object.values(this.state.errors).every((message) => !message);
+  }
+
+  /**
+   * Whether an async validator or the submit handler is running
+   * @type {boolean}
+   */
+  get isBusy() {
+    return this.state.isSubmitting || Object.values(this.state.validating).some(Boolean);
+  }
+
+  /**
+   * Merges changes into the form state
+   * @param {Object} changes - Partial form state
+   * @private
+   */
+  update(changes) {
+    this.store.setState(this.path, (formState) => ({ ...formState, ...changes }));
+  }
+
+  /**
+   * Attributes for a form field: its name, the `bind` to its value, a blur handler
+   * marking it touched, and aria-invalid while it shows an error
+   * @param {string} name - Field name
+   * @returns {Object} Attributes to spread into the field's virtual element
+   */
+  field(name) {
+    return {
+      name: name,
+      bind: `${this.path}.values.${name}`,
+      onblur: () => this.touch(name),
+      "aria-invalid": this.error(name) ? "true" : "false",
+    };
+  }
+
+  /**
+   * Attributes for the form element, which submit through this helper. An error
+   * thrown by onSubmit is kept in `submitError` rather than rejecting unseen.
+   * @returns {Object} Attributes to spread into the form's virtual element
+   */
+  formAttributes() {
+    return {
+      novalidate: "",
+      // submit() already stored the error, nobody awaits this call
+      "onsubmit.prevent": () => this.submit().catch(() => {}),
+    };
+  }
+
+  /**
+   * Returns the error to display for a field: only once it was touched or the form was submitted
+   * @param {string} name - Field name
+   * @returns {string|null} Error message, or null
+   */
+  error(name) {
+    const { errors, touched, submitCount } = this.state;
+    return errors[name] && (touched[name] || submitCount > 0) ? errors[name] : null;
+  }
+
+  /**
+   * Checks whether values differ from the initial values
+   * @param {string} [name] - Field name; checks every field when omitted
+   * @returns {boolean} True if the field (or any field) was changed
+   */
+  isDirty(name) {
+    const values = this.state.values;
+    if (name !== undefined) {
+      return !shallowEqual(values[name], this.initialValues[name]);
+    }
+    return Object.keys({ ...values, ...this.initialValues }).some((key) => this.isDirty(key));
+  }
+
+  /**
+   * Checks whether a field was touched (blurred) since the last reset
+   * @param {string} name - Field name
+   * @returns {boolean} True if the field was touched
+   */
+  isTouched(name) {
+    return Boolean(this.state.touched[name]);
+  }
+
+  /**
+   * Sets a field value from code, as typing into a bound input would
+   * @param {string} name - Field name
+   * @param {*} value - New value
+   */
+  setValue(name, value) {
+    // Wrapped, since a function passed as the value would be called as an updater
+    this.store.setState(`${this.path}.values.${name}`, () => value);
+  }
+
+  /**
+   * Marks a field as touched and validates it
+   * @param {string} name - Field name
+   * @returns {Promise<boolean>} Resolves to true if the field is valid
+   */
+  touch(name) {
+    if (!this.state.touched[name]) {
+      this.update({ touched: { ...this.state.touched, [name]: true } });
+    }
+    return this.validate(name);
+  }
+
+  /**
+   * Re-validates touched fields whose values changed
+   * @param {Object} values - New values
+   * @param {Object} previous - Previous values
+   * @private
+   */
+  handleValuesChange(values, previous) {
+    if (!values) {
+      return;
+    }
+    for (const name of Object.keys(this.validators)) {
+      if (this.state.touched[name] && !Object.is(values[name], previous[name])) {
+        this.validate(name);
+      }
+    }
+  }
+
+  /**
+   * Runs validators and stores their error messages. Results of an async
+   * validation that was overtaken by a newer one are dropped.
+   * @param {string} [name] - Field to validate; validates every field with validators when omitted
+   * @returns {Promise<boolean>} Resolves to true if the validated fields are valid
+   */
+  async validate(name) {
+    const names = name !== undefined ? [name] : Object.keys(this.validators);
+    const results = await Promise.all(names.map((field) => this.validateField(field)));
+    return results.every(Boolean);
+  }
+
+  /**
+   * Validates a single field
+   * @param {string} name - Field name
+   * @returns {Promise<boolean>} Resolves to true if the field is valid
+   * @private
+   */
+  async validateField(name) {
+    if (!this.validators[name]) {
+      return true;
+    }
+    const run = (this.validationRuns[name] || 0) + 1;
+    this.validationRuns[name] = run;
+    const values = this.state.values;
+
+    let message;
+    try {
+      message = runValidators(this.validators[name], values[name], values);
+      if (message && typeof message.then === "function") {
+        // Only async validators show up as validating
+        this.update({ validating: { ...this.state.validating, [name]: true } });
+        message = await message;
+      }
+    } catch (error) {
+      message = toMessage(error);
+    }
+    if (this.validationRuns[name] !== run) {
+      // A newer validation of this field is in flight and decides its error
+      return !message;
+    }
+    const { errors, validating } = this.state;
+    if (errors[name] !== message || validating[name]) {
+      this.update({
+        errors: { ...errors, [name]: message },
+        validating: { ...validating, [name]: false },
+      });
+    }
+    return !message;
+  }
+
+  /**
+   * Validates every field and calls onSubmit with the values if they are valid.
+   * An error from onSubmit is stored as the message in `submitError`, which the
+   * next submit clears.
+   * @returns {Promise<boolean>} Resolves to true if the form was valid and onSubmit succeeded
+   * @throws {Error} Rethrows errors from onSubmit after clearing isSubmitting
+   */
+  async submit() {
+    if (this.state.isSubmitting) {
+      return false;
+    }
+    this.update({ isSubmitting: true, submitCount: this.state.submitCount + 1, submitError: null });
+    try {
+      const valid = await this.validate();
+      if (valid && this.onSubmit) {
+        await this.onSubmit(this.state.values);
+      }
+      return valid;
+    } catch (error) {
+      this.update({ submitError: toMessage(error) });
+      throw error;
+    } finally {
+      this.update({ isSubmitting: false });
+    }
+  }
+
+  /**
+   * Restores the initial values and clears errors and touched flags
+   * @param {Object} [values] - New initial values
+   */
+  reset(values) {
+    if (values) {
+      this.initialValues = { ...values };
+    }
+    this.validationRuns = {};
+    this.store.setState(this.path, {
+      values: { ...this.initialValues },
+      errors: {},
+      touched: {},
+      validating: {},
+      isSubmitting: false,
+      submitCount: 0,
+      submitError: null,
+    });
+  }
+
+  /**
+   * Stops re-validating on value changes. The form state stays in the State.
+   */
+  destroy() {
+    this.unsubscribe();
+  }
+}
+
+/**
+ * Factory function for creating new Form instances
+ * @param {Object} options - Form options, see the Form constructor
+ * @returns {Form} New Form instance
+ */
+export function createForm(options) {
+  return new Form(options);
+}
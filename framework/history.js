@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Undo/redo history for State
+ * @version 1.0.0
+ * @author AJA!
+ */
+
+import { shallowEqual } from "./state.js";
+
+/**
+ * Records snapshots of a State so changes can be undone and redone.
+ * Each setState that changes a recorded key is one step; a transaction turns
+ * several setState calls into a single step. Snapshots share their values with
+ * the state, so they stay cheap as long as state is updated immutably.
+ * Changes made with setState(..., false) are not noticed until the next notified change.
+ * @class StateHistory
+ * @example
+ * const history = createHistory(app.store, { depth: 50, ignore: ["editingId", "newTodo"] });
+ * app.addShortcut("mod+z", () => history.undo());
+ * app.addShortcut("mod+shift+z", () => history.redo());
+ * history.transaction(() => {
+ *   app.setState({ todos: [] });
+ *   app.setState({ nextId: 1 });
+ * });
+ */
+export class StateHistory {
+  /**
+   * Creates a new StateHistory instance and starts recording from the current state
+   * @param {State} state - State to record
+   * @param {Object} [options] - History options
+   * @param {number} [options.depth=100] - Maximum number of steps that can be undone
+   * @param {Array<string>} [options.ignore=[]] - State keys left out of snapshots, such as UI-only flags;
+   * changing only those records no step, and undo leaves them as they are
+   */
+  constructor(state, options = {}) {
+    /** @type {State} Recorded State */
+    this.store = state;
+    /** @type {number} Maximum number of undo steps */
+    this.depth = options.depth === undefined ? 100 : options.depth;
+    /** @type {Set<string>} Keys left out of snapshots */
+    this.ignore = new Set(options.ignore || []);
+    /** @type {Array<Object>} Snapshots before the current one, oldest first */
+    this.past = [];
+    /** @type {Array<Object>} Undone snapshots, most recently undone last */
+    this.future = [];
+    /** @type {Object} Snapshot of the current state */
+    this.present = this.snapshot(state.getState());
+    /** @type {number} Depth of nested transactions in progress */
+    this.transactionDepth = 0;
+    /** @type {Object|null} Snapshot from before the outermost transaction */
+    this.transactionStart = null;
+    /** @type {boolean} Whether undo or redo is writing to the state */
+    this.isApplying = false;
+    /** @type {Function} Removes the subscription recording changes */
+    this.unsubscribe = state.subscribe(
+      (current) => this.snapshot(current),
+      (next) => this.record(next)
+    );
+  }
+
+  /**
+   * Whether there is a step to undo
+   * @type {boolean}
+   */
+  get canUndo() {
+    return this.past.length > 0;
+  }
+
+  /**
+   * Whether there is an undone step to redo
+   * @type {boolean}
+   */
+  get canRedo() {
+    return this.future.length > 0;
+  }
+
+  /**
+   * Copies the recorded keys of a state object. Computed keys are left out,
+   * they follow the keys they are derived from.
+   * @param {Object} state - State object
+   * @returns {Object} Snapshot sharing its values with the state
+   * @private
+   */
+  snapshot(state) {
+    const snapshot = {};
+    for (const [key, value] of Object.entries(state)) {
+      if (!this.ignore.has(key) && !this.store.computed.has(key) && value !== undefined) {
+        snapshot[key] = value;
+      }
+    }
+    return snapshot;
+  }
+
+  /**
+   * Records a change of the recorded keys as a new step
+   * @param {Object} next - Snapshot after the change
+   * @private
+   */
+  record(next) {
+    if (this.isApplying) {
+      return;
+    }
+    if (this.transactionDepth === 0) {
+      this.push(this.present);
+    }
+    this.present = next;
+  }
+
+  /**
+   * Adds a snapshot to the undo steps and drops the redo steps
+   * @param {Object} snapshot - Snapshot to return to on undo
+   * @private
+   */
+  push(snapshot) {
+    this.past.push(snapshot);
+    if (this.past.length > this.depth) {
+      this.past.splice(0, this.past.length - this.depth);
+    }
+    this.future = [];
+  }
+
+  /**
+   * Writes a snapshot to the state. Recorded keys missing from it are set to undefined.
+   * @param {Object} snapshot - Snapshot to restore
+   * @private
+   */
+  apply(snapshot) {
+    const changes = { ...snapshot };
+    for (const key of Object.keys(this.present)) {
+      if (!(key in snapshot)) {
+        changes[key] = undefined;
+      }
+    }
+    this.present = snapshot;
+    this.isApplying = true;
+    try {
+      this.store.setState(changes);
+    } finally {
+      this.isApplying = false;
+    }
+  }
+
+  /**
+   * Returns to the state before the last step
+   * @returns {boolean} True if a step was undone, false if there was none
+   * @throws {Error} Throws if called inside a transaction
+   */
+  undo() {
+    if (this.transactionDepth > 0) {
+      throw new Error("Error: cannot undo inside a transaction");
+    }
+    if (!this.canUndo) {
+      return false;
+    }
+    this.future.push(this.present);
+    this.apply(this.past.pop());
+    return true;
+  }
+
+  /**
+   * Reapplies the last undone step
+   * @returns {boolean} True if a step was redone, false if there was none
+   * @throws {Error} Throws if called inside a transaction
+   */
+  redo() {
+    if (this.transactionDepth > 0) {
+      throw new Error("Error: cannot redo inside a transaction");
+    }
+    if (!this.canRedo) {
+      return false;
+    }
+    this.past.push(this.present);
+    this.apply(this.future.pop());
+    return true;
+  }
+
+  /**
+   * Runs a function and records the changes it makes as a single step. Transactions
+   * may be nested; only the outermost one records a step. If the function returns a
+   * promise, the step is recorded once it settles, including any other changes made
+   * in the meantime.
+   * @param {Function} fn - Function making the changes
+   * @returns {*} Whatever the function returns
+   */
+  transaction(fn) {
+    if (this.transactionDepth === 0) {
+      this.transactionStart = this.present;
+    }
+    this.transactionDepth++;
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      this.endTransaction();
+      throw error;
+    }
+    if (result && typeof result.then === "function") {
+      return result.finally(() => this.endTransaction());
+    }
+    this.endTransaction();
+    return result;
+  }
+
+  /**
+   * Closes a transaction and records its step if anything changed
+   * @private
+   */
+  endTransaction() {
+    this.transactionDepth--;
+    if (this.transactionDepth === 0) {
+      if (!shallowEqual(this.present, this.transactionStart)) {
+        this.push(this.transactionStart);
+      }
+      this.transactionStart = null;
+    }
+  }
+
+  /**
+   * Forgets all undo and redo steps, e.g. after loading a document
+   */
+  clear() {
+    this.past = [];
+    this.future = [];
+    this.present = this.snapshot(this.store.getState());
+  }
+
+  /**
+   * Stops recording changes
+   */
+  destroy() {
+    this.unsubscribe();
+  }
+}
+
+/**
+ * Factory function for creating new StateHistory instances
+ * @param {State} state - State to record
+ * @param {Object} [options] - History options, see the StateHistory constructor
+ * @returns {StateHistory} New StateHistory instance
+ */
+export function createHistory(state, options) {
+  return new StateHistory(state, options);
+}
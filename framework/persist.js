@@ -0,0 +1,389 @@
+/**
+ * @fileoverview State persistence for the mini-framework: storage adapters, throttled writes and versioned migrations
+ * @version 1.0.0
+ * @author AJA!
+ */
+
+/**
+ * Copies the persisted keys of a state object
+ * @param {Object} state - State object
+ * @param {Array<string>} keys - Keys to copy
+ * @returns {Object} Object with the keys that are present in the state, empty if it is not an object
+ * @private
+ */
+function pickKeys(state, keys) {
+  const picked = {};
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    return picked;
+  }
+  for (const key of keys) {
+    if (key in state) {
+      picked[key] = state[key];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Creates an adapter storing JSON in a Web Storage object
+ * @param {Storage} storage - localStorage, sessionStorage or anything with the same methods
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}} Synchronous storage adapter
+ */
+export function webStorageAdapter(storage) {
+  return {
+    getItem(key) {
+      const text = storage.getItem(key);
+      return text === null ? null : JSON.parse(text);
+    },
+    setItem(key, value) {
+      storage.setItem(key, JSON.stringify(value));
+    },
+    removeItem(key) {
+      storage.removeItem(key);
+    },
+  };
+}
+
+/**
+ * Creates an adapter storing state in localStorage, kept across browser sessions
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}} Synchronous storage adapter
+ */
+export function localStorageAdapter() {
+  return webStorageAdapter(window.localStorage);
+}
+
+/**
+ * Creates an adapter storing state in sessionStorage, kept until the tab is closed
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}} Synchronous storage adapter
+ */
+export function sessionStorageAdapter() {
+  return webStorageAdapter(window.sessionStorage);
+}
+
+/**
+ * Opens an IndexedDB database with the given object store. A database that exists
+ * without the store, e.g. because another adapter created it with a different store,
+ * is reopened with the next version so the store can be added.
+ * @param {string} database - Database name
+ * @param {string} storeName - Object store name
+ * @param {number} [version] - Version to open, the current one by default
+ * @returns {Promise<IDBDatabase>} Open database that has the store
+ * @private
+ */
+function openDatabase(database, storeName, version) {
+  return new Promise((resolve, reject) => {
+    const request = version === undefined ? indexedDB.open(database) : indexedDB.open(database, version);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(storeName)) {
+        request.result.createObjectStore(storeName);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).then((db) => {
+    if (db.objectStoreNames.contains(storeName)) {
+      return db;
+    }
+    const nextVersion = db.version + 1;
+    db.close();
+    return openDatabase(database, storeName, nextVersion);
+  });
+}
+
+/**
+ * Creates an adapter storing state in IndexedDB, for state too large for localStorage.
+ * Values are stored as structured clones, so dates, maps and sets survive.
+ * @param {Object} [options] - Database options
+ * @param {string} [options.database="mini-framework"] - Database name
+ * @param {string} [options.store="state"] - Object store name
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}} Asynchronous storage adapter
+ */
+export function indexedDBAdapter(options = {}) {
+  const database = options.database || "mini-framework";
+  const storeName = options.store || "state";
+  let opening = null;
+
+  const open = () => {
+    if (!opening) {
+      opening = openDatabase(database, storeName).then((db) => {
+        // Another adapter adding its store upgrades the database; close so it isn't blocked, and reopen next time
+        db.onversionchange = () => {
+          db.close();
+          opening = null;
+        };
+        return db;
+      });
+      // A failed open is retried by the next operation
+      opening.catch(() => {
+        opening = null;
+      });
+    }
+    return opening;
+  };
+
+  const run = (mode, operation) =>
+    open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const transaction = db.transaction(storeName, mode);
+          const request = operation(transaction.objectStore(storeName));
+          transaction.oncomplete = () => resolve(request.result);
+          transaction.onerror = () => reject(transaction.error);
+          transaction.onabort = () => reject(transaction.error);
+        })
+    );
+
+  return {
+    getItem: (key) => run("readonly", (store) => store.get(key)).then((value) => (value === undefined ? null : value)),
+    setItem: (key, value) => run("readwrite", (store) => store.put(value, key)),
+    removeItem: (key) => run("readwrite", (store) => store.delete(key)),
+  };
+}
+
+/**
+ * Saves selected keys of a State to storage and restores them on startup.
+ * Writes are throttled and stored together with a version number; when the
+ * stored version is older, the migrations up to the current version run on
+ * the stored data before it is restored.
+ * Storage goes through an adapter: an object with getItem(key), setItem(key, value)
+ * and removeItem(key), which may work synchronously or return promises.
+ * @class Persistence
+ * @example
+ * const persistence = persistState(app.store, {
+ *   key: "todos",
+ *   keys: ["todos", "nextId"],
+ *   version: 2,
+ *   migrations: {
+ *     // Version 2 renamed "done" to "completed"
+ *     2: (data) => ({ ...data, todos: data.todos.map(({ done, ...todo }) => ({ ...todo, completed: done })) }),
+ *   },
+ * });
+ * await persistence.restore();
+ */
+export class Persistence {
+  /**
+   * Creates a new Persistence instance. Nothing is read or written until restore() is called.
+   * @param {State} state - State to persist
+   * @param {Object} options - Persistence options
+   * @param {Array<string>} options.keys - State keys to persist; everything else stays in memory
+   * @param {string} [options.key="mini-framework-state"] - Storage key the state is saved under
+   * @param {Object} [options.adapter=localStorageAdapter()] - Storage adapter
+   * @param {number} [options.throttle=100] - Minimum time between writes in milliseconds
+   * @param {number} [options.version=0] - Version of the persisted state's shape
+   * @param {Object<number, Function>} [options.migrations={}] - Functions by version, each turning stored
+   * data of the previous version into data of its version
+   * @throws {Error} Throws if no keys are given
+   */
+  constructor(state, options = {}) {
+    if (!Array.isArray(options.keys) || options.keys.length === 0) {
+      throw new Error("Error: persistence needs the list of state keys to persist");
+    }
+    /** @type {State} State being persisted */
+    this.store = state;
+    /** @type {Array<string>} Persisted state keys */
+    this.keys = options.keys;
+    /** @type {string} Storage key */
+    this.key = options.key || "mini-framework-state";
+    /** @type {Object} Storage adapter */
+    this.adapter = options.adapter || localStorageAdapter();
+    /** @type {number} Minimum time between writes in milliseconds */
+    this.throttle = options.throttle === undefined ? 100 : options.throttle;
+    /** @type {number} Current version of the persisted shape */
+    this.version = options.version || 0;
+    /** @type {Object<number, Function>} Migrations by the version they produce */
+    this.migrations = options.migrations || {};
+    /** @type {boolean} Whether stored state was restored (or found missing) and changes are saved */
+    this.isRestored = false;
+    /** @type {Promise<void>|null} Pending restore */
+    this.restoring = null;
+    /** @type {number|null} Timer of the next write */
+    this.timer = null;
+    /** @type {number} Time of the last write */
+    this.lastWrite = 0;
+    /** @type {Function|null} Removes the subscription that schedules writes */
+    this.unsubscribe = null;
+    /** @type {Function|null} Page hide listener writing pending changes */
+    this.pagehideListener = null;
+  }
+
+  /**
+   * Reads the stored state, migrates it and merges it into the State, then starts
+   * saving changes of the persisted keys. Stored values replace the current ones.
+   * Synchronous adapters restore before this returns. A storage, migration or restore
+   * error is reported with console.warn, and saving starts from the state as it is.
+   * @returns {Promise<void>} Resolves once restored, never rejects; calling it again returns the same promise
+   */
+  restore() {
+    if (this.restoring) {
+      return this.restoring;
+    }
+    try {
+      const stored = this.adapter.getItem(this.key);
+      if (stored && typeof stored.then === "function") {
+        this.restoring = stored.then((data) => this.apply(data)).catch((error) => this.fail(error));
+        return this.restoring;
+      }
+      this.apply(stored);
+    } catch (error) {
+      this.fail(error);
+    }
+    this.restoring = Promise.resolve();
+    return this.restoring;
+  }
+
+  /**
+   * Migrates and restores stored data
+   * @param {{version: number, state: Object}|null} stored - What the adapter returned
+   * @private
+   */
+  apply(stored) {
+    let data = null;
+    let migrated = false;
+    if (stored && typeof stored === "object") {
+      const version = stored.version || 0;
+      if (version > this.version) {
+        console.warn(`Stored state "${this.key}" has version ${version}, newer than ${this.version}; ignoring it`);
+      } else if (typeof stored.state !== "object" || Array.isArray(stored.state)) {
+        console.warn(`Stored state "${this.key}" is not an object; ignoring it`);
+      } else {
+        try {
+          data = stored.state;
+          for (let next = version + 1; next <= this.version; next++) {
+            if (this.migrations[next]) {
+              data = this.migrations[next](data);
+              migrated = true;
+            }
+          }
+        } catch (error) {
+          data = null;
+          console.warn(`Could not migrate stored state "${this.key}": ${error.message}`);
+        }
+      }
+    }
+
+    const restored = pickKeys(data, this.keys);
+    if (Object.keys(restored).length > 0) {
+      this.store.setState(restored);
+    }
+    this.start();
+    if (migrated) {
+      // Save the new shape right away
+      this.scheduleWrite();
+    }
+  }
+
+  /**
+   * Reports an error during restore and starts saving anyway
+   * @param {Error} error - Storage or restore error
+   * @private
+   */
+  fail(error) {
+    console.warn(`Could not restore state "${this.key}": ${error && error.message}`);
+    this.start();
+  }
+
+  /**
+   * Starts saving changes of the persisted keys
+   * @private
+   */
+  start() {
+    this.isRestored = true;
+    if (this.unsubscribe) {
+      return;
+    }
+    this.unsubscribe = this.store.subscribe(
+      (state) => pickKeys(state, this.keys),
+      () => this.scheduleWrite()
+    );
+    if (typeof window !== "undefined") {
+      // Writes still waiting for the throttle would be lost on page unload
+      this.pagehideListener = () => {
+        if (this.timer !== null) {
+          this.flush();
+        }
+      };
+      window.addEventListener("pagehide", this.pagehideListener);
+    }
+  }
+
+  /**
+   * Schedules a write, at most one per throttle interval. The write saves the
+   * state as it is when it runs, so changes in between are saved together.
+   * @private
+   */
+  scheduleWrite() {
+    if (this.timer !== null) {
+      return;
+    }
+    const wait = Math.max(0, this.lastWrite + this.throttle - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.write();
+    }, wait);
+  }
+
+  /**
+   * Saves the persisted keys with the current version
+   * @returns {Promise<void>} Resolves once saved; storage errors are reported with console.warn
+   * @private
+   */
+  write() {
+    this.lastWrite = Date.now();
+    const data = { version: this.version, state: pickKeys(this.store.getState(), this.keys) };
+    return Promise.resolve()
+      .then(() => this.adapter.setItem(this.key, data))
+      .catch((error) => console.warn(`Could not save state "${this.key}": ${error && error.message}`));
+  }
+
+  /**
+   * Saves pending changes now instead of waiting for the throttle
+   * @returns {Promise<void>} Resolves once saved
+   */
+  flush() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    return this.write();
+  }
+
+  /**
+   * Deletes the stored state. The state in memory is left as it is.
+   * @returns {Promise<void>} Resolves once deleted
+   */
+  clear() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    return Promise.resolve().then(() => this.adapter.removeItem(this.key));
+  }
+
+  /**
+   * Stops saving changes. Pending writes are dropped; call flush() first to keep them.
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.pagehideListener) {
+      window.removeEventListener("pagehide", this.pagehideListener);
+      this.pagehideListener = null;
+    }
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Factory function for creating new Persistence instances
+ * @param {State} state - State to persist
+ * @param {Object} options - Persistence options, see the Persistence constructor
+ * @returns {Persistence} New Persistence instance; call restore() to load the stored state
+ */
+export function persistState(state, options) {
+  return new Persistence(state, options);
+}
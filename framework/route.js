@@ -6,50 +6,758 @@
 
 import { allRoutes } from "./state.js";
 
+/**
+ * @type {Object<string, number>} Precedence of each segment type. Routes are compared segment
+ * by segment from the left; "end" ranks a pattern that has no segment left at that position,
+ * so "/posts" beats "/posts/:page?" on "/posts".
+ */
+const SEGMENT_SCORES = {
+  static: 4,
+  param: 3,
+  end: 2,
+  optional: 1,
+  splat: 0,
+};
+
+/** @type {number} Maximum number of redirects followed by a single navigation */
+const MAX_REDIRECTS = 10;
+
+/**
+ * Escapes a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Compiles a route pattern into a regular expression, its parameter names and the precedence of its segments
+ * @param {string} pattern - Route pattern such as "/user/:id", "/posts/:page?" or "/files/*"
+ * @returns {{regex: RegExp, keys: Array<string>, score: Array<number>}} Compiled route pattern
+ * @throws {Error} Throws if a splat is not the last segment
+ * @private
+ */
+function compilePattern(pattern) {
+  const segments = pattern.split("/").filter(Boolean);
+  const keys = [];
+  let source = "";
+  const score = [];
+
+  segments.forEach((segment, index) => {
+    if (segment.startsWith("*")) {
+      if (index !== segments.length - 1) {
+        throw new Error(`Error: splat must be the last segment of route "${pattern}"`);
+      }
+      keys.push(segment.substring(1) || "*");
+      source += "(?:/(.*))?";
+      score.push(SEGMENT_SCORES.splat);
+    } else if (segment.startsWith(":") && segment.endsWith("?")) {
+      keys.push(segment.slice(1, -1));
+      source += "(?:/([^/]+))?";
+      score.push(SEGMENT_SCORES.optional);
+    } else if (segment.startsWith(":")) {
+      keys.push(segment.substring(1));
+      source += "/([^/]+)";
+      score.push(SEGMENT_SCORES.param);
+    } else {
+      source += "/" + escapeRegExp(segment);
+      score.push(SEGMENT_SCORES.static);
+    }
+  });
+
+  return { regex: new RegExp(`^${source}/?$`), keys: keys, score: score };
+}
+
+/**
+ * Compares the precedence of two compiled patterns segment by segment
+ * @param {Array<number>} a - Segment scores of the first pattern
+ * @param {Array<number>} b - Segment scores of the second pattern
+ * @returns {number} Positive if a is more specific, negative if b is, 0 on a tie
+ * @private
+ */
+function compareScores(a, b) {
+  for (let index = 0; index < Math.max(a.length, b.length); index++) {
+    const left = index < a.length ? a[index] : SEGMENT_SCORES.end;
+    const right = index < b.length ? b[index] : SEGMENT_SCORES.end;
+    if (left !== right) {
+      return left - right;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Parses a query string into an object. Repeated keys become arrays.
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object<string, string|Array<string>>} Parsed query parameters
+ * @example
+ * parseQuery("?page=2&tag=a&tag=b"); // { page: "2", tag: ["a", "b"] }
+ */
+export function parseQuery(search) {
+  const query = {};
+  for (const [key, value] of new URLSearchParams(search)) {
+    if (!(key in query)) {
+      query[key] = value;
+    } else if (Array.isArray(query[key])) {
+      query[key].push(value);
+    } else {
+      query[key] = [query[key], value];
+    }
+  }
+  return query;
+}
+
+/**
+ * Splits an app URL into its path and parsed query
+ * @param {string} url - App URL (with or without # prefix), may include a query string
+ * @returns {{url: string, path: string, query: Object}} Clean URL, path ("/" if empty) and query
+ * @private
+ */
+function parseUrl(url) {
+  const cleanUrl = url.startsWith("#") ? url.substring(1) : url;
+  const queryIndex = cleanUrl.indexOf("?");
+  const path = (queryIndex === -1 ? cleanUrl : cleanUrl.substring(0, queryIndex)) || "/";
+  const query = parseQuery(queryIndex === -1 ? "" : cleanUrl.substring(queryIndex));
+  return { url: cleanUrl || "/", path: path, query: query };
+}
+
+/**
+ * Resolves a redirect target for a match
+ * @param {string|Function} target - Path where ":name" is replaced by the matched params, or a function of the match
+ * @param {Object} match - Match object of the redirecting route
+ * @returns {string} App path to redirect to
+ * @private
+ */
+function resolveRedirect(target, match) {
+  if (typeof target === "function") {
+    return target(match);
+  }
+  return target.replace(/:(\w+)/g, (placeholder, key) =>
+    key in match.params ? encodeURIComponent(match.params[key]) : placeholder
+  );
+}
+
+/**
+ * Joins a child route path onto its parent's pattern
+ * @param {string} parent - Parent route pattern
+ * @param {string} child - Child path, relative ("edit") or with a leading slash ("/edit")
+ * @returns {string} Full route pattern
+ * @private
+ */
+function joinPaths(parent, child) {
+  const trimmedParent = parent.replace(/\/+$/, "");
+  const trimmedChild = child.replace(/^\/+/, "");
+  if (!trimmedChild) {
+    return trimmedParent || "/";
+  }
+  return `${trimmedParent}/${trimmedChild}`;
+}
+
+/**
+ * Builds the route record shared by every kind of route, without its pattern
+ * @param {Object} definition - Route definition, see Router#addRoute
+ * @param {Object|null} parent - Compiled parent route
+ * @returns {Object|null} Route record, or null if the definition has nothing to run or render
+ * @private
+ */
+function createRouteRecord(definition, parent) {
+  const { handler = null, render = null, load = null, children = [] } = definition;
+  if (
+    (handler !== null && typeof handler !== "function") ||
+    (render !== null && typeof render !== "function") ||
+    (load !== null && typeof load !== "function") ||
+    (handler === null && render === null && load === null && children.length === 0)
+  ) {
+    return null;
+  }
+  return {
+    handler: handler,
+    render: render,
+    load: load,
+    loading: definition.loading || null,
+    error: definition.error || null,
+    // Lazy loading status: "idle", "loading", "loaded" or "failed"
+    loadStatus: "idle",
+    loadError: null,
+    parent: parent,
+    index: null,
+    beforeEnter: definition.beforeEnter || null,
+    beforeLeave: definition.beforeLeave || null,
+  };
+}
+
+/**
+ * Client-side router supporting hash URLs ("#/active") and History API paths ("/active")
+ * @class Router
+ * @example
+ * const router = new Router({ mode: "history", base: "/app" });
+ * router.addRoute("/user/:id", ({ params }) => console.log(params.id));
+ * router.start();
+ * router.navigate("/user/42");
+ * @example
+ * router.addRedirect("/profile/:id", "/user/:id");
+ * router.setNotFound(({ path }) => console.log("Nothing at", path));
+ * router.addRoute("/admin", showAdmin, {
+ *   beforeEnter: async () => ((await isAdmin()) ? true : "/login"),
+ * });
+ * @example
+ * // Nested routes: each level renders its child through the outlet argument
+ * router.addRoute("/users", {
+ *   render: (route, outlet) => createVirtualElement("section", {}, "", [UserList(), outlet]),
+ *   children: [
+ *     { path: "", render: () => createVirtualElement("p", {}, "Pick a user", []) },
+ *     { path: ":id", render: (route) => UserDetails(route.params.id) },
+ *   ],
+ * });
+ * @example
+ * // Lazy route: the module is imported on first visit, its default export renders the route
+ * router.addRoute("/stats", {
+ *   load: () => import("./views/stats.js"),
+ *   loading: () => createVirtualElement("p", {}, "Loading...", []),
+ * });
+ */
+export class Router {
+  /**
+   * Creates a new Router instance
+   * @param {Object} [options] - Router options
+   * @param {string} [options.mode="hash"] - "hash" for #/ URLs, "history" for pushState paths
+   * @param {string} [options.base=""] - Base path the app is served from (history mode only)
+   * @param {Function} [options.onChange] - Called with the match object after each completed navigation
+   * and whenever a lazy route finishes loading
+   * @param {Function} [options.loadingView] - Default render(route) for lazy routes that are still loading
+   * @param {Function} [options.errorView] - Default render(route, error) for lazy routes that failed to load
+   * @param {Function} [options.onError] - Called with the error when a navigation started by the browser
+   * or a link click fails (a throwing guard or handler, too many redirects); console.error by default
+   * @param {Map<string, Object>} [options.routes] - Route table to use, a new one by default
+   * @throws {Error} Throws if mode is not "hash" or "history"
+   */
+  constructor(options = {}) {
+    const {
+      mode = "hash",
+      base = "",
+      onChange = null,
+      loadingView = null,
+      errorView = null,
+      onError = null,
+      routes = new Map(),
+    } = options;
+    if (mode !== "hash" && mode !== "history") {
+      throw new Error(`Error: unknown router mode "${mode}"`);
+    }
+    /** @type {Map<string, Object>} Route table mapping URL patterns to compiled routes */
+    this.routes = routes;
+    /** @type {string} Router mode, "hash" or "history" */
+    this.mode = mode;
+    /** @type {string} Base path without trailing slash */
+    this.base = mode === "history" ? base.replace(/\/+$/, "") : "";
+    /** @type {Function|null} Active hashchange/popstate listener */
+    this.listener = null;
+    /** @type {Object|null} Route record used for URLs no route matches */
+    this.notFoundRoute = null;
+    /** @type {Object|null} Match object of the active route */
+    this.current = null;
+    /** @type {number} Incremented per navigation so superseded ones can be dropped */
+    this.navigationId = 0;
+    /** @type {Function|null} Called after each completed navigation */
+    this.onChange = onChange;
+    /** @type {Function|null} Default view for lazy routes that are still loading */
+    this.loadingView = loadingView;
+    /** @type {Function|null} Default view for lazy routes that failed to load */
+    this.errorView = errorView;
+    /** @type {Function|null} Called with errors of navigations nobody awaits */
+    this.onError = onError;
+  }
+
+  /**
+   * Adds a new route to the router
+   * @param {string} url - URL pattern for the route. Supports named parameters ("/user/:id"),
+   * optional parameters ("/posts/:page?") and a trailing splat ("/files/*" or "/files/*path")
+   * @param {Function|Object} handler - Function to execute when route is matched, receives the match
+   * object; or a route definition object with the same keys as options plus `handler`
+   * @param {Object} [options] - Route options
+   * @param {Function} [options.beforeEnter] - Guard run before navigating to this route, called as
+   * guard(to, from) with match objects and possibly async. Returning false cancels the navigation,
+   * returning a path redirects to it.
+   * @param {Function} [options.beforeLeave] - Guard run before navigating away from this route
+   * @param {Function} [options.render] - Returns the virtual element(s) for this route, called as
+   * render(route, outlet) where outlet is what the matched child route rendered (or null)
+   * @param {Array<Object>} [options.children] - Nested route definitions, each with a `path`
+   * relative to this route; a child with an empty path renders when this route matches exactly
+   * @param {Function} [options.load] - Lazy render: returns a promise of a module (e.g. a dynamic
+   * import) whose default export, or `render` export, is used as the render function
+   * @param {Function} [options.loading] - render(route) shown while the module loads
+   * @param {Function} [options.error] - render(route, error) shown if loading failed
+   * @returns {boolean} True if route was added successfully, false if invalid parameters or route already exists
+   */
+  addRoute(url, handler, options = {}) {
+    const definition = typeof handler === "function" ? { ...options, handler: handler } : handler;
+    if (typeof url !== "string" || typeof definition !== "object" || definition === null) {
+      return false;
+    }
+    return this.registerRoute(url, definition, null);
+  }
+
+  /**
+   * Compiles a route definition and its children into the route table
+   * @param {string} url - Route path, relative to the parent if there is one
+   * @param {Object} definition - Route definition, see addRoute
+   * @param {Object|null} parent - Compiled parent route
+   * @returns {boolean} True if the route and all its children were added
+   * @private
+   */
+  registerRoute(url, definition, parent) {
+    const record = createRouteRecord(definition, parent);
+    if (!record) {
+      return false;
+    }
+    const pattern = parent ? joinPaths(parent.pattern, url) : url;
+    const isIndex = parent !== null && pattern === parent.pattern;
+    if (isIndex ? parent.index : this.routes.has(pattern)) return false;
+
+    const route = { pattern: pattern, ...record, ...compilePattern(pattern) };
+    if (isIndex) {
+      // Index routes share the parent's URL and fill its outlet when it matches exactly
+      parent.index = route;
+    } else {
+      this.routes.set(pattern, route);
+    }
+    return (definition.children || []).every((child) =>
+      this.registerRoute(child.path || "", child, route)
+    );
+  }
+
+  /**
+   * Declares a redirect. The browser URL is replaced with the target.
+   * @param {string} url - URL pattern to redirect from, same syntax as addRoute
+   * @param {string|Function} target - Path to redirect to, where ":name" is replaced by the
+   * matched params, or a function receiving the match object and returning the path
+   * @returns {boolean} True if the redirect was added, false if invalid parameters or the pattern already exists
+   */
+  addRedirect(url, target) {
+    if (typeof url !== "string") return false;
+    if (typeof target !== "string" && typeof target !== "function") return false;
+    if (this.routes.has(url)) return false;
+    this.routes.set(url, { pattern: url, redirect: target, ...compilePattern(url) });
+    return true;
+  }
+
+  /**
+   * Sets the handler for URLs no route matches. The URL is left as it is and the
+   * handler receives a match object whose route is null. Without one, unknown URLs
+   * fall back to the "/" route.
+   * @param {Function|Object} handler - Function receiving the match object; or a route definition
+   * ({ handler, render, load, beforeEnter, beforeLeave }) whose render shows the not-found page
+   * in apps rendered by their routes
+   * @returns {boolean} True if the handler was set, false if it is neither a function nor a valid definition
+   */
+  setNotFound(handler) {
+    const definition = typeof handler === "function" ? { handler: handler } : handler;
+    if (typeof definition !== "object" || definition === null || definition.children) return false;
+    const record = createRouteRecord(definition, null);
+    if (!record) return false;
+    this.notFoundRoute = { pattern: null, ...record };
+    return true;
+  }
+
+  /**
+   * Finds the most specific route matching a URL. Routes are compared segment by
+   * segment from the left: static segments win over parameters, parameters over
+   * optional parameters, and those over splats; on a tie the route added first wins.
+   * @param {string} url - URL to match (with or without # prefix), may include a query string
+   * @returns {{route: string, url: string, path: string, params: Object<string, string>, query: Object}|null}
+   * Match object, or null if no route matches or a parameter contains a malformed escape
+   */
+  match(url) {
+    const { url: cleanUrl, path, query } = parseUrl(url);
+
+    let best = null;
+    for (const route of this.routes.values()) {
+      const result = route.regex.exec(path);
+      if (result && (!best || compareScores(route.score, best.route.score) > 0)) {
+        best = { route: route, result: result };
+      }
+    }
+    if (!best) {
+      return null;
+    }
+
+    const params = {};
+    try {
+      best.route.keys.forEach((key, index) => {
+        const value = best.result[index + 1];
+        if (value !== undefined) {
+          params[key] = decodeURIComponent(value);
+        }
+      });
+    } catch (error) {
+      // A malformed escape such as "/user/100%" can't be decoded, treat the URL as unknown
+      return null;
+    }
+    // Chain of matched routes from the outermost layout to the innermost view
+    const matched = [];
+    for (let route = best.route; route; route = route.parent) {
+      matched.unshift(route);
+    }
+    if (best.route.index) {
+      matched.push(best.route.index);
+    }
+    return {
+      route: best.route.pattern,
+      url: cleanUrl,
+      path: path,
+      params: params,
+      query: query,
+      matched: matched,
+    };
+  }
+
+  /**
+   * Renders the active route chain. Each matched route's render function receives
+   * the output of the route nested inside it as its outlet.
+   * @returns {Object|Array<Object>|null} Virtual element(s) for the active route, or null if no route renders
+   */
+  render() {
+    if (!this.current || !this.current.matched) {
+      return null;
+    }
+    let outlet = null;
+    for (let i = this.current.matched.length - 1; i >= 0; i--) {
+      const route = this.current.matched[i];
+      if (route.load && route.loadStatus === "failed") {
+        const errorView = route.error || this.errorView;
+        outlet = errorView ? errorView(this.current, route.loadError) : null;
+      } else if (route.load && route.loadStatus !== "loaded") {
+        const loadingView = route.loading || this.loadingView;
+        outlet = loadingView ? loadingView(this.current) : null;
+      } else if (route.render) {
+        outlet = route.render(this.current, outlet);
+      }
+    }
+    return outlet;
+  }
+
+  /**
+   * Loads the module of a lazy route once and caches its render function.
+   * A failed load is retried on the next navigation to the route.
+   * @param {Object} route - Compiled route with a load function
+   * @returns {Promise<void>} Resolves when the route has loaded or failed
+   * @private
+   */
+  async loadRoute(route) {
+    if (route.loadStatus === "loading" || route.loadStatus === "loaded") {
+      return;
+    }
+    route.loadStatus = "loading";
+    route.loadError = null;
+    try {
+      const module = await route.load();
+      const render = module && (module.default || module.render);
+      if (typeof render !== "function") {
+        throw new Error(`Error: module for route "${route.pattern}" has no default or render export`);
+      }
+      route.render = render;
+      route.loadStatus = "loaded";
+    } catch (error) {
+      console.error(`Failed to load route "${route.pattern}":`, error);
+      route.loadStatus = "failed";
+      route.loadError = error;
+    }
+    // Re-render if the route is still on screen
+    if (this.onChange && this.current && this.current.matched.includes(route)) {
+      this.onChange(this.current);
+    }
+  }
+
+  /**
+   * Checks whether any registered route declares a render function
+   * @returns {boolean} True if routes can drive rendering
+   */
+  hasRenderRoutes() {
+    for (const route of [...this.routes.values(), this.notFoundRoute]) {
+      if (
+        route &&
+        (route.render || route.load || (route.index && (route.index.render || route.index.load)))
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Builds the href for an app path in the current mode
+   * @param {string} path - App path such as "/active"
+   * @returns {string} "#/active" in hash mode, base + "/active" in history mode
+   */
+  href(path) {
+    return this.mode === "hash" ? "#" + path : this.base + path;
+  }
+
+  /**
+   * Reads the app path (with query string) from the browser location
+   * @returns {string} Current app path, "/" if empty
+   */
+  getCurrentUrl() {
+    if (this.mode === "hash") {
+      return window.location.hash.substring(1) || "/";
+    }
+    let path = window.location.pathname;
+    if (this.base && (path === this.base || path.startsWith(this.base + "/"))) {
+      path = path.substring(this.base.length);
+    }
+    return (path || "/") + window.location.search;
+  }
+
+  /**
+   * Executes the handler for a specific route
+   * @param {string} url - App path to route to (with or without # prefix)
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.push=false] - Add a history entry for the URL (otherwise the location
+   * is assumed to already show it, as after a hashchange or popstate)
+   * @param {boolean} [options.replace=false] - Replace the current history entry with the URL
+   * @returns {Promise<Object|null>} Match object passed to the handler, or null if the navigation
+   * was cancelled, superseded by a newer one, or found no handler
+   * @description Redirects are followed first. Then the beforeLeave guards of the routes being left
+   * and the beforeEnter guards of every matched route, outermost first, run in turn; any of them can
+   * cancel (false) or redirect (a path).
+   * Finally the handler of the most specific matching route is called with a match object
+   * ({ route, url, path, params, query }). If no route matches, the not-found handler runs and the
+   * URL is kept; without one, the "/" route runs and the URL is replaced by "/".
+   * Without guards the whole navigation runs synchronously.
+   */
+  async execute(url, options = {}) {
+    const navigationId = ++this.navigationId;
+    const from = this.current;
+    const locationUrl = this.getCurrentUrl();
+    let target = parseUrl(url).url;
+    let match = null;
+    let handler = null;
+
+    for (let redirects = 0; ; redirects++) {
+      if (redirects > MAX_REDIRECTS) {
+        throw new Error(`Error: too many redirects while navigating to "${url}"`);
+      }
+      match = this.match(target);
+      const route = match ? this.routes.get(match.route) : null;
+
+      if (route && route.redirect) {
+        target = parseUrl(resolveRedirect(route.redirect, match)).url;
+        continue;
+      }
+      if (!route && this.notFoundRoute) {
+        const { path, query } = parseUrl(target);
+        const matched = [this.notFoundRoute];
+        match = { route: null, url: target, path: path, params: {}, query: query, matched: matched };
+        handler = this.notFoundRoute.handler;
+      } else if (!route) {
+        // If url is not bound to a handler, we route to the default one
+        if (target !== "/" && this.routes.has("/")) {
+          target = "/";
+          continue;
+        }
+        console.log("No handler found for route:", target);
+        return null;
+      } else {
+        handler = route.index && route.index.handler ? route.index.handler : route.handler;
+      }
+
+      // Guards only await when they exist, so unguarded navigations stay synchronous
+      let result = true;
+      for (const guard of this.collectGuards(from, match)) {
+        result = await guard(match, from);
+        if (result === false || typeof result === "string") {
+          break;
+        }
+      }
+      if (navigationId !== this.navigationId) {
+        return null;
+      }
+      if (result === false) {
+        // The browser already moved to the cancelled URL, put the active route back
+        // (replacing the entry, so cancelled back/forward navigations don't grow the history)
+        if (!options.push && !options.replace && from && locationUrl !== from.url) {
+          history.replaceState(null, "", this.href(from.url));
+        }
+        return null;
+      }
+      if (typeof result === "string") {
+        target = parseUrl(result).url;
+        continue;
+      }
+      break;
+    }
+
+    // Update browser history if needed
+    if (options.push && !options.replace) {
+      history.pushState(null, "", this.href(target));
+    } else if (options.replace || this.getCurrentUrl() !== target) {
+      history.replaceState(null, "", this.href(target));
+    }
+
+    this.current = match;
+    for (const route of match.matched) {
+      if (route.load && route.loadStatus !== "loaded") {
+        this.loadRoute(route);
+      }
+    }
+    if (handler) {
+      handler(match);
+    }
+    if (this.onChange) {
+      this.onChange(match);
+    }
+    return match;
+  }
+
+  /**
+   * Lists the guards a navigation runs, in order: beforeLeave of the routes being left
+   * from the innermost outwards (the active view's always runs, even if it stays matched
+   * with other params), then beforeEnter of every matched route from the outermost inwards
+   * @param {Object|null} from - Match object of the active route
+   * @param {Object} to - Match object of the target route
+   * @returns {Array<Function>} Guards to call as guard(to, from)
+   * @private
+   */
+  collectGuards(from, to) {
+    const guards = [];
+    const leaving = from ? from.matched : [];
+    for (let i = leaving.length - 1; i >= 0; i--) {
+      const route = leaving[i];
+      if (route.beforeLeave && (i === leaving.length - 1 || !to.matched.includes(route))) {
+        guards.push(route.beforeLeave);
+      }
+    }
+    for (const route of to.matched) {
+      if (route.beforeEnter) {
+        guards.push(route.beforeEnter);
+      }
+    }
+    return guards;
+  }
+
+  /**
+   * Navigates to an app path, adding a history entry unless replace is set
+   * @param {string} path - App path such as "/user/42?tab=posts"
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing one
+   * @returns {Promise<Object|null>} Match object of the executed route, or null if cancelled
+   */
+  navigate(path, options = {}) {
+    return this.execute(path, { push: true, replace: Boolean(options.replace) });
+  }
+
+  /**
+   * Reports an error of a navigation nobody awaits to onError, or to console.error without one
+   * @param {Error} error - Error the navigation failed with
+   */
+  reportError(error) {
+    if (this.onError) {
+      this.onError(error);
+    } else {
+      console.error("Error: navigation failed", error);
+    }
+  }
+
+  /**
+   * Starts listening to location changes and executes the current route.
+   * Navigations started by location changes report their errors with reportError.
+   * @returns {Promise<Object|null>} Match object of the initial route, rejected if it failed
+   */
+  start() {
+    const eventName = this.mode === "hash" ? "hashchange" : "popstate";
+    if (!this.listener) {
+      this.listener = () => this.execute(this.getCurrentUrl()).catch((error) => this.reportError(error));
+      window.addEventListener(eventName, this.listener);
+    }
+    return this.execute(this.getCurrentUrl());
+  }
+
+  /**
+   * Stops listening to location changes
+   */
+  stop() {
+    if (this.listener) {
+      window.removeEventListener(this.mode === "hash" ? "hashchange" : "popstate", this.listener);
+      this.listener = null;
+    }
+  }
+
+  /**
+   * Turns a click on a same-origin link into client-side navigation (history mode).
+   * Clicks with modifier keys, on links with a target or download attribute,
+   * or on links outside the base path are left to the browser.
+   * @param {MouseEvent} event - Click event
+   * @param {HTMLAnchorElement} link - Clicked link
+   * @returns {boolean} True if the click was handled by the router
+   */
+  handleLinkClick(event, link) {
+    if (
+      this.mode !== "history" ||
+      event.defaultPrevented ||
+      event.button !== 0 ||
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey ||
+      event.altKey ||
+      (link.target && link.target !== "_self") ||
+      link.hasAttribute("download") ||
+      link.origin !== window.location.origin
+    ) {
+      return false;
+    }
+    const path = link.pathname;
+    if (this.base && path !== this.base && !path.startsWith(this.base + "/")) {
+      return false;
+    }
+    event.preventDefault();
+    this.navigate((path.substring(this.base.length) || "/") + link.search).catch((error) =>
+      this.reportError(error)
+    );
+    return true;
+  }
+}
+
+/** @type {Router} Hash router used by the standalone route functions, backed by the global route table */
+const defaultRouter = new Router({ routes: allRoutes });
+
 /**
  * Adds a new route to the router
- * @param {string} url - URL pattern for the route (e.g., "/", "/about", "/user/:id")
- * @param {Function} handler - Function to execute when route is matched
+ * @param {string} url - URL pattern for the route. Supports named parameters ("/user/:id"),
+ * optional parameters ("/posts/:page?") and a trailing splat ("/files/*" or "/files/*path")
+ * @param {Function} handler - Function to execute when route is matched, receives the match object
  * @returns {boolean} True if route was added successfully, false if invalid parameters or route already exists
  * @example
  * addRoute("/home", () => console.log("Home page"));
- * addRoute("/user/:id", (params) => console.log("User:", params.id));
+ * addRoute("/user/:id", ({ params }) => console.log("User:", params.id));
+ * addRoute("/search", ({ query }) => console.log("Search:", query.q));
  */
 export function addRoute(url, handler) {
-  if (typeof url !== "string" || typeof handler !== "function") return false;
-  if (allRoutes.has(url)) return false;
-  allRoutes.set(url, handler);
-  return true;
+  return defaultRouter.addRoute(url, handler);
+}
+
+/**
+ * Finds the most specific route matching a URL, see Router#match
+ * @param {string} url - URL to match (with or without # prefix), may include a query string
+ * @returns {{route: string, path: string, params: Object<string, string>, query: Object}|null}
+ * Match object, or null if no route matches
+ * @example
+ * matchRoute("#/user/42?tab=posts");
+ * // { route: "/user/:id", path: "/user/42", params: { id: "42" }, query: { tab: "posts" } }
+ */
+export function matchRoute(url) {
+  return defaultRouter.match(url);
 }
 
 /**
- * Executes the handler for a specific route
+ * Executes the handler for a specific hash route, see Router#execute
  * @param {string} url - URL to route to (with or without # prefix)
- * @description If the URL is not found in routes, defaults to "/" route.
- * Updates browser history if the current hash doesn't match the target URL.
+ * @returns {Promise<Object|null>} Match object passed to the handler, or null if no handler was found
  * @example
  * executeRoute("#/home"); // Executes handler for /home route
- * executeRoute("/about");  // Executes handler for /about route
+ * executeRoute("/user/42?tab=posts");  // Executes handler for /user/:id route
  */
 export function executeRoute(url) {
-  // Clean up the URL - remove # prefix if present
-  let cleanUrl = url.startsWith("#") ? url.substring(1) : url;
-
-  // If url is not bound to a handler, we route to the default one
-  if (!allRoutes.has(cleanUrl)) {
-    cleanUrl = "/";
-  }
-
-  // Execute the handler
-  if (allRoutes.has(cleanUrl)) {
-    allRoutes.get(cleanUrl)();
-  } else {
-    console.log("No handler found for route:", cleanUrl);
-  }
-
-  // Update browser history if needed
-  const hashUrl = cleanUrl.startsWith("#") ? cleanUrl : "#" + cleanUrl;
-  if (window.location.hash !== hashUrl) {
-    history.pushState(null, "", hashUrl);
-  }
+  return defaultRouter.execute(url);
 }
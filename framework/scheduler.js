@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Render scheduling for the mini-framework
+ * @version 1.0.0
+ * @author AJA!
+ */
+
+/** @type {Array<string>} Supported scheduling modes */
+const MODES = ["microtask", "frame", "sync"];
+
+/**
+ * Coalesces render jobs requested during the same tick (or animation frame) into a single flush
+ * @class Scheduler
+ * @example
+ * const scheduler = new Scheduler("frame");
+ * scheduler.schedule(renderApp); // queued
+ * scheduler.schedule(renderApp); // same job, still runs once
+ * await scheduler.nextFlush();    // resolved after renderApp ran
+ */
+export class Scheduler {
+  /**
+   * Creates a new Scheduler instance
+   * @param {string} [mode="microtask"] - "microtask" flushes at the end of the current tick,
+   * "frame" before the next animation frame, "sync" immediately
+   * @throws {Error} Throws if mode is not supported
+   */
+  constructor(mode = "microtask") {
+    /** @type {string} Scheduling mode */
+    this.mode = "microtask";
+    /** @type {Set<Function>} Jobs waiting for the next flush */
+    this.jobs = new Set();
+    /** @type {boolean} Whether a flush has been requested */
+    this.isScheduled = false;
+    /** @type {boolean} Whether jobs are currently running */
+    this.isFlushing = false;
+    /** @type {number|null} Pending animation frame handle */
+    this.frameId = null;
+    /** @type {Array<{resolve: Function, reject: Function}>} Settlers of nextFlush() promises */
+    this.waiting = [];
+    this.setMode(mode);
+  }
+
+  /**
+   * Changes the scheduling mode
+   * @param {string} mode - "microtask", "frame" or "sync"
+   * @throws {Error} Throws if mode is not supported
+   */
+  setMode(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Error: unknown scheduler mode "${mode}"`);
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * Queues a job for the next flush. Scheduling the same job twice runs it once.
+   * @param {Function} job - Function to run
+   */
+  schedule(job) {
+    this.jobs.add(job);
+    if (this.isFlushing || this.isScheduled) {
+      return;
+    }
+    if (this.mode === "sync") {
+      this.flush();
+      return;
+    }
+    this.isScheduled = true;
+    if (this.mode === "frame" && typeof requestAnimationFrame === "function") {
+      this.frameId = requestAnimationFrame(() => this.flush());
+    } else {
+      queueMicrotask(() => this.flush());
+    }
+  }
+
+  /**
+   * Removes a job from the queue, e.g. because it was just run directly
+   * @param {Function} job - Previously scheduled function
+   */
+  cancel(job) {
+    this.jobs.delete(job);
+  }
+
+  /**
+   * Runs every queued job right away, including jobs queued while flushing,
+   * then settles pending nextFlush() promises. A job that throws doesn't stop
+   * the others: its error is reported with console.error and the promises are
+   * rejected with the first error.
+   */
+  flush() {
+    if (this.isFlushing) {
+      return;
+    }
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    this.isScheduled = false;
+    this.isFlushing = true;
+    const errors = [];
+    try {
+      while (this.jobs.size > 0) {
+        const jobs = [...this.jobs];
+        this.jobs.clear();
+        for (const job of jobs) {
+          try {
+            job();
+          } catch (error) {
+            errors.push(error);
+            console.error("Error: scheduled job failed", error);
+          }
+        }
+      }
+    } finally {
+      this.isFlushing = false;
+      const waiting = this.waiting;
+      this.waiting = [];
+      for (const { resolve, reject } of waiting) {
+        if (errors.length > 0) {
+          reject(errors[0]);
+        } else {
+          resolve();
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns a promise resolved after the next flush, or right away if nothing is queued
+   * @returns {Promise<void>} Promise resolved once queued jobs have run, rejected if one of them threw
+   */
+  nextFlush() {
+    if (this.jobs.size === 0 && !this.isFlushing) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+}
+
+/** @type {Scheduler} Scheduler used by the standalone updateDom, apps create their own */
+export const renderScheduler = new Scheduler();
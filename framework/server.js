@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Server-side rendering of virtual elements to HTML strings for the mini-framework
+ * @version 1.0.0
+ * @author AJA!
+ */
+
+import { globalStorage, getPath } from "./state.js";
+import { Component } from "./component.js";
+import { isEventHandler } from "./events.js";
+import { serializeAttribute } from "./attributes.js";
+import { EMPTY, PORTAL, TEXT, getProps, normalizeChildren, toComponentNode } from "./dom.js";
+
+/** @type {Set<string>} Elements that have no closing tag */
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+/** @type {RegExp} Valid tag and attribute names; anything else could break out of the markup */
+const VALID_NAME = /^[a-zA-Z][a-zA-Z0-9:._-]*$/;
+
+/**
+ * Escapes text for use between tags
+ * @param {string} text - Raw text
+ * @returns {string} Text with &, < and > escaped
+ * @private
+ */
+function escapeText(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Escapes a value for use inside a double-quoted attribute
+ * @param {string} value - Raw attribute value
+ * @returns {string} Value with &, ", <, > and ' escaped
+ * @private
+ */
+function escapeAttribute(value) {
+  return escapeText(value).replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+/**
+ * Serializes the attributes of a virtual element. Event handlers, keys,
+ * bindings and refs are left out; values are written as serializeAttribute describes:
+ * `class` and `style` objects are flattened, `true` renders a bare boolean attribute,
+ * `false`, null and undefined render nothing, and properties like `checked` and
+ * `selected` render their initial state.
+ * @param {Object} attributes - Virtual element attributes
+ * @returns {string} Attributes with a leading space each
+ * @private
+ */
+function renderAttributes(attributes) {
+  let html = "";
+  for (const [attrName, attrValue] of Object.entries(attributes)) {
+    if (
+      attrName === "key" ||
+      attrName === "bind" ||
+      attrName === "ref" ||
+      typeof attrValue === "function" ||
+      isEventHandler(attrName, attrValue) ||
+      !VALID_NAME.test(attrName)
+    ) {
+      continue;
+    }
+    const value = serializeAttribute(attrName, attrValue);
+    if (value === "" && attrName !== "value") {
+      html += ` ${attrName}`;
+    } else if (value !== null) {
+      html += ` ${attrName}="${escapeAttribute(value)}"`;
+    }
+  }
+  return html;
+}
+
+/**
+ * Turns the `bind` of a form element into the attribute showing the bound state value,
+ * as the DOM renderer's binding would: `checked` for checkboxes and radio buttons,
+ * `value` otherwise (an array of values for multiple selects)
+ * @param {string} tag - Lowercase tag name
+ * @param {Object} attributes - Virtual element attributes
+ * @param {State} store - State the binding reads from
+ * @returns {Object} Attributes with the bound value in place of `bind`'s target
+ * @private
+ */
+function bindAttributes(tag, attributes, store) {
+  if (attributes.bind === undefined) {
+    return attributes;
+  }
+  const bound = getPath(store.getState(), attributes.bind);
+  const type = tag === "input" && typeof attributes.type === "string" ? attributes.type.toLowerCase() : "";
+  if (type === "checkbox" || type === "radio") {
+    // Like an input's value property, which defaults to "on"
+    const ownValue = "value" in attributes ? String(attributes.value) : "on";
+    const checked =
+      type === "radio"
+        ? ownValue === String(bound)
+        : Array.isArray(bound)
+          ? bound.map(String).includes(ownValue)
+          : Boolean(bound);
+    return { ...attributes, checked: checked };
+  }
+  if (type === "file") {
+    return attributes;
+  }
+  const multiple = attributes.multiple !== undefined && attributes.multiple !== null && attributes.multiple !== false;
+  if (tag === "select" && multiple) {
+    return { ...attributes, value: Array.isArray(bound) ? bound.map(String) : [] };
+  }
+  return { ...attributes, value: bound === null || bound === undefined ? "" : String(bound) };
+}
+
+/**
+ * Renders a single virtual element, running components without mounting them.
+ * The `value` of a select marks the matching options as selected and the `value`
+ * of a textarea becomes its content, since neither has a value attribute. Bound
+ * form elements render the state value they are bound to.
+ * @param {Object} elem - Virtual element
+ * @param {State} store - State that components select from
+ * @param {string|Array<string>} [selectValue] - Value of the enclosing select, if any;
+ * an array for multiple selects
+ * @returns {string} HTML markup
+ * @throws {Error} Throws if elem is not a virtual element or has an invalid tag
+ * @private
+ */
+function renderElement(elem, store, selectValue) {
+  if (typeof elem !== "object" || elem === null) {
+    throw new Error(`Error: ${elem} is not a virtual element`);
+  }
+  if (typeof elem.tag === "function") {
+    const instance = new Component(elem.tag, getProps(elem), () => {}, store);
+    return renderElement(toComponentNode(instance.render(), elem.tag), store, selectValue);
+  }
+  if (elem.tag === TEXT) {
+    return escapeText(elem.innerText);
+  }
+  if (elem.tag === EMPTY || elem.tag === PORTAL) {
+    // Gives hydration a node to adopt for components that render nothing and for
+    // portals, whose content is rendered into its target on the client
+    return "<!---->";
+  }
+  if (typeof elem.tag !== "string" || !VALID_NAME.test(elem.tag)) {
+    throw new Error(`Error: invalid tag "${elem.tag}"`);
+  }
+
+  const tag = elem.tag.toLowerCase();
+  const bound = bindAttributes(tag, elem.attributes, store);
+  let { value, ...attributes } = bound;
+  let innerText = elem.innerText;
+  if (tag === "select") {
+    selectValue =
+      value === null || value === undefined ? undefined : Array.isArray(value) ? value.map(String) : String(value);
+  } else if (tag === "textarea") {
+    innerText = value === null || value === undefined ? innerText : String(value);
+  } else {
+    attributes = bound;
+  }
+  if (tag === "option" && selectValue !== undefined) {
+    const optionValue = "value" in attributes ? String(attributes.value) : innerText || "";
+    const selected = Array.isArray(selectValue) ? selectValue.includes(optionValue) : optionValue === selectValue;
+    attributes = { ...attributes, selected: selected };
+  }
+
+  // SVG tags like foreignObject and linearGradient keep their case
+  const open = `<${elem.tag}${renderAttributes(attributes)}>`;
+  if (VOID_ELEMENTS.has(tag)) {
+    return open;
+  }
+  const text = innerText ? escapeText(innerText) : "";
+  const children = elem.children.map((child) => renderElement(child, store, selectValue)).join("");
+  return `${open}${text}${children}</${elem.tag}>`;
+}
+
+/**
+ * Serializes virtual elements created by createVirtualElement to an HTML string.
+ * Needs no DOM, so it runs in plain Node for pre-rendering and snapshot tests.
+ * Components are rendered once with their initial local state; lifecycle callbacks do not run.
+ * @param {*} vnode - Virtual element, or anything a render function returns: arrays, fragments, text, null
+ * @param {Object} [options] - Rendering options
+ * @param {State} [options.state=globalStorage] - State that components read with select()
+ * @returns {string} HTML markup
+ * @throws {Error} Throws if vnode contains something other than virtual elements
+ * @example
+ * renderToString(createVirtualElement("input", { type: "checkbox", checked: true, onclick: toggle }, "", []));
+ * // '<input type="checkbox" checked>'
+ */
+export function renderToString(vnode, options = {}) {
+  const store = options.state || globalStorage;
+  const elements = normalizeChildren(Array.isArray(vnode) ? vnode : [vnode]);
+  return elements.map((elem) => renderElement(elem, store)).join("");
+}
@@ -4,9 +4,218 @@
  * @author AJA!
  */
 
-/** @type {Map<string, Function>} Global route storage mapping URLs to handler functions */
+/** @type {Map<string, Object>} Global route storage mapping URL patterns to compiled routes and their handlers */
 export var allRoutes = new Map()
 
+/**
+ * Compares two values one level deep
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are identical, or are objects/arrays with identical own keys and values
+ * @example
+ * shallowEqual({ a: 1, b: list }, { a: 1, b: list }) // true
+ * shallowEqual([1, 2], [1, 2]) // true
+ * shallowEqual({ a: {} }, { a: {} }) // false
+ */
+export function shallowEqual(a, b) {
+    if (Object.is(a, b)) {
+        return true
+    }
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) {
+        return false
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false
+    }
+    const keysA = Object.keys(a)
+    const keysB = Object.keys(b)
+    if (keysA.length !== keysB.length) {
+        return false
+    }
+    for (const key of keysA) {
+        if (!Object.prototype.hasOwnProperty.call(b, key) || !Object.is(a[key], b[key])) {
+            return false
+        }
+    }
+    return true
+}
+
+/**
+ * Splits a state path into its keys
+ * @param {string|Array<string|number>} path - Dot-separated path such as "form.values.email" or
+ * "todos[3].completed", or an array of keys
+ * @returns {Array<string|number>} Keys from the outermost to the innermost
+ * @private
+ */
+function toKeys(path) {
+    if (Array.isArray(path)) {
+        return path
+    }
+    return String(path)
+        .replace(/\[([^\]]*)\]/g, ".$1")
+        .split(".")
+        .filter((key) => key !== "")
+}
+
+/**
+ * Reads a nested value
+ * @param {Object} object - Object to read from
+ * @param {string|Array<string|number>} path - Dot-separated path or array of keys
+ * @returns {*} Value at the path, or undefined if any part of it is missing
+ * @example
+ * getPath({ form: { values: { email: "a@b.c" } } }, "form.values.email") // "a@b.c"
+ */
+export function getPath(object, path) {
+    let value = object
+    for (const key of toKeys(path)) {
+        if (value === null || value === undefined) {
+            return undefined
+        }
+        value = value[key]
+    }
+    return value
+}
+
+/**
+ * Returns a copy of an object with a nested value replaced. Only the objects along
+ * the path are copied, everything else is shared with the original; missing parts
+ * are created as objects, or arrays when the next key is a number.
+ * @param {Object} object - Object to update
+ * @param {string|Array<string|number>} path - Dot-separated path or array of keys
+ * @param {*} value - Value to store at the path
+ * @returns {Object} Updated copy, or the object itself if the value is already there
+ * @throws {Error} Throws if the path goes through a primitive value, such as a string
+ * @example
+ * const next = setPath(state, "form.values.email", "a@b.c")
+ * next.todos === state.todos // true
+ */
+export function setPath(object, path, value) {
+    const keys = toKeys(path)
+    if (keys.length === 0) {
+        return value
+    }
+    const [key, ...rest] = keys
+    if (object !== null && object !== undefined && typeof object !== "object") {
+        // Spreading a string would turn it into an object of its characters
+        throw new Error(`Error: can't set "${key}" on a ${typeof object} value`)
+    }
+    const current = object === null || object === undefined ? undefined : object[key]
+    const nextValue = setPath(current, rest, value)
+    if (object !== null && object !== undefined && Object.is(current, nextValue)) {
+        return object
+    }
+    if (Array.isArray(object)) {
+        const copy = [...object]
+        copy[key] = nextValue
+        return copy
+    }
+    if (object === null || object === undefined) {
+        return /^\d+$/.test(String(key)) ? Object.assign([], { [key]: nextValue }) : { [key]: nextValue }
+    }
+    return { ...object, [key]: nextValue }
+}
+
+/**
+ * Returns a copy of an array with items added at the end
+ * @param {Array} array - Array to copy; undefined counts as empty
+ * @param {...*} items - Items to add
+ * @returns {Array} New array
+ * @example
+ * state.setState("todos", (todos) => push(todos, { id: 4, title: "Write docs", completed: false }))
+ */
+export function push(array, ...items) {
+    return [...(array || []), ...items]
+}
+
+/**
+ * Returns a copy of an array without the items matching a predicate
+ * @param {Array} array - Array to filter
+ * @param {Function} predicate - Called with (item, index), true for items to remove
+ * @returns {Array} New array, or the array itself if nothing matched
+ */
+export function removeWhere(array, predicate) {
+    const next = array.filter((item, index) => !predicate(item, index))
+    return next.length === array.length ? array : next
+}
+
+/**
+ * Returns a copy of an array without the item with an id
+ * @param {Array<Object>} array - Array of objects
+ * @param {*} id - Id of the item to remove
+ * @param {string} [idKey="id"] - Property holding the id
+ * @returns {Array<Object>} New array, or the array itself if no item has the id
+ * @example
+ * state.setState("todos", (todos) => removeById(todos, 3))
+ */
+export function removeById(array, id, idKey = "id") {
+    return removeWhere(array, (item) => item[idKey] === id)
+}
+
+/**
+ * Returns a copy of an array with the item with an id updated. The other items are shared.
+ * @param {Array<Object>} array - Array of objects
+ * @param {*} id - Id of the item to update
+ * @param {Object|Function} changes - Properties to merge into the item, or a function of the item returning its replacement
+ * @param {string} [idKey="id"] - Property holding the id
+ * @returns {Array<Object>} New array, or the array itself if nothing changed
+ * @example
+ * state.setState("todos", (todos) => updateById(todos, 3, (todo) => ({ ...todo, completed: !todo.completed })))
+ */
+export function updateById(array, id, changes, idKey = "id") {
+    let changed = false
+    const next = array.map((item) => {
+        if (item[idKey] !== id) {
+            return item
+        }
+        const updated = typeof changes === "function" ? changes(item) : { ...item, ...changes }
+        if (shallowEqual(updated, item)) {
+            return item
+        }
+        changed = true
+        return updated
+    })
+    return changed ? next : array
+}
+
+/** @type {string} Type of the action reducers are called with when they are added */
+const INIT_ACTION = "@@init"
+
+/**
+ * Middleware that lets functions be dispatched: they are called with (dispatch, getState)
+ * instead of reaching the reducers, so they can dispatch actions before and after async work
+ * @param {{dispatch: Function, getState: Function}} api - Store functions
+ * @returns {Function} Middleware
+ * @example
+ * state.use(thunk)
+ * state.dispatch(async (dispatch) => {
+ *     dispatch({ type: "todos/loading" })
+ *     dispatch({ type: "todos/loaded", todos: await api.loadTodos() })
+ * })
+ */
+export function thunk(api) {
+    return (next) => (action) => (typeof action === "function" ? action(api.dispatch, api.getState) : next(action))
+}
+
+/**
+ * Creates a middleware that logs every action with the state before and after it
+ * @param {Object} [options] - Logger options
+ * @param {Function} [options.log=console.log] - Called with (action, previousState, nextState)
+ * @param {Function} [options.filter] - Only actions for which filter(action) is true are logged
+ * @returns {Function} Middleware
+ */
+export function createLogger(options = {}) {
+    const log = options.log || ((action, previous, next) => console.log(`action ${action.type}`, { action, previous, next }))
+    return (api) => (next) => (action) => {
+        if (typeof action !== "object" || (options.filter && !options.filter(action))) {
+            return next(action)
+        }
+        const previous = api.getState()
+        const result = next(action)
+        log(action, previous, api.getState())
+        return result
+    }
+}
+
 /**
  * State management class with listener support and automatic updates
  * @class State
@@ -21,8 +230,22 @@ export class State {
         this.state = {}
         /** @type {Array<Function>} Array of listener functions */
         this.listeners = []
+        /** @type {Set<Object>} Selector subscriptions with their last selected value */
+        this.subscriptions = new Set()
         /** @type {Function|null} Callback function for triggering updates */
         this.updateCallback = null // Add this
+        /** @type {Set<Function>} Further update callbacks, one per app rendering from this State */
+        this.updateCallbacks = new Set()
+        /** @type {Map<string, Function>} Reducers by the state key they manage */
+        this.reducers = new Map()
+        /** @type {Array<Function>} Middleware actions pass through before the reducers, in order */
+        this.middleware = []
+        /** @type {Set<Object>} Action subscriptions with the action type they watch */
+        this.actionListeners = new Set()
+        /** @type {Function} Dispatch function with the middleware applied */
+        this.dispatcher = (action) => this.reduce(action)
+        /** @type {Map<string, Object>} Computed keys with their dependencies and last dependency values */
+        this.computed = new Map()
         if (listeners && Array.isArray(listeners) && listeners.length > 0) {
             for (const listener of listeners) {
                 if (typeof listener !== "function") {
@@ -43,6 +266,228 @@ export class State {
         this.updateCallback = callback;
     }
 
+    /**
+     * Adds a callback called on every notified change, next to the one set with
+     * setUpdateCallback. Each app sharing this State registers its own, so they all re-render.
+     * @param {Function} callback - Function to call when state is updated
+     * @returns {Function} Function that removes the callback
+     * @throws {Error} Throws if callback is not a function
+     */
+    onUpdate(callback) {
+        if (typeof callback !== "function") {
+            throw new Error("Error: update callback must be a function")
+        }
+        this.updateCallbacks.add(callback)
+        return () => {
+            this.updateCallbacks.delete(callback)
+        }
+    }
+
+    /**
+     * Subscribes to a slice of the state. The callback only runs when the value
+     * returned by the selector changes, compared with shallow equality by default.
+     * @param {Function} selector - Function receiving the state and returning the watched slice
+     * @param {Function} callback - Called with (nextValue, previousValue) when the slice changes
+     * @param {Function} [isEqual=shallowEqual] - Equality check used to detect changes
+     * @returns {Function} Function that removes the subscription
+     * @throws {Error} Throws if selector, callback or isEqual is not a function
+     * @example
+     * const unsubscribe = state.subscribe(
+     *     (s) => s.todos.filter((todo) => !todo.completed).length,
+     *     (count) => console.log(`${count} items left`)
+     * )
+     * unsubscribe()
+     */
+    subscribe(selector, callback, isEqual = shallowEqual) {
+        if (typeof selector !== "function" || typeof callback !== "function" || typeof isEqual !== "function") {
+            throw new Error("Error: selector, callback and isEqual must be functions")
+        }
+        const subscription = { selector, callback, isEqual, value: selector(this.state) }
+        this.subscriptions.add(subscription)
+        return () => {
+            this.subscriptions.delete(subscription)
+        }
+    }
+
+    /**
+     * Declares a computed key, derived from other keys. Its value is stored in the state,
+     * so it is read with getState() and watched with subscribe() like any other key, and
+     * it is only recomputed when one of its dependencies changes (compared by identity).
+     * Computed keys may depend on computed keys declared before them.
+     * @param {string} key - Computed key
+     * @param {Array<string>} dependencies - Keys or dot-separated paths it is derived from
+     * @param {Function} compute - Called with the dependency values, returns the computed value
+     * @returns {Function} Function that removes the computed key; its last value stays in the state
+     * @throws {Error} Throws if compute is not a function or the key is already in use
+     * @example
+     * state.addComputed("activeCount", ["todos"], (todos) => todos.filter((todo) => !todo.completed).length)
+     * state.getState().activeCount // 2
+     */
+    addComputed(key, dependencies, compute) {
+        if (typeof compute !== "function" || !Array.isArray(dependencies)) {
+            throw new Error("Error: a computed key needs an array of dependencies and a compute function")
+        }
+        if (this.computed.has(key) || this.reducers.has(key)) {
+            throw new Error(`Error: "${key}" is already computed or managed by a reducer`)
+        }
+        const computed = { key, dependencies, compute, values: null }
+        this.computed.set(key, computed)
+        this.state = { ...this.state }
+        this.updateComputed()
+        return () => {
+            this.computed.delete(key)
+        }
+    }
+
+    /**
+     * Recomputes the computed keys whose dependencies changed, in place on a fresh state object
+     * @private
+     */
+    updateComputed() {
+        for (const computed of this.computed.values()) {
+            const values = computed.dependencies.map((path) => getPath(this.state, path))
+            if (computed.values && values.every((value, index) => Object.is(value, computed.values[index]))) {
+                continue
+            }
+            computed.values = values
+            this.state[computed.key] = computed.compute(...values)
+        }
+    }
+
+    /**
+     * Adds a reducer managing one state key. Dispatched actions are passed to every reducer,
+     * which returns the key's next value, or the current value for actions it doesn't handle.
+     * The reducer is called once right away to provide the key's initial value.
+     * @param {string} key - State key the reducer manages
+     * @param {Function} reducer - Function of (value, action, state) returning the next value
+     * @returns {Function} Function that removes the reducer; the key keeps its value
+     * @throws {Error} Throws if the reducer is not a function or the key already has one
+     * @example
+     * state.addReducer("todos", (todos = [], action) => {
+     *     switch (action.type) {
+     *         case "todos/add":
+     *             return [...todos, action.todo]
+     *         case "todos/remove":
+     *             return todos.filter((todo) => todo.id !== action.id)
+     *         default:
+     *             return todos
+     *     }
+     * })
+     */
+    addReducer(key, reducer) {
+        if (typeof reducer !== "function") {
+            throw new Error("Error: reducer must be a function")
+        }
+        if (this.reducers.has(key) || this.computed.has(key)) {
+            throw new Error(`Error: "${key}" already has a reducer or is computed`)
+        }
+        this.reducers.set(key, reducer)
+        const initial = reducer(this.state[key], { type: INIT_ACTION }, this.state)
+        if (!Object.is(initial, this.state[key])) {
+            this.setState({ [key]: initial }, false)
+        }
+        return () => {
+            this.reducers.delete(key)
+        }
+    }
+
+    /**
+     * Adds middleware to the dispatch pipeline. Middleware is called as
+     * middleware({ dispatch, getState })(next)(action) and may change, delay, block
+     * or replace actions; calling next(action) passes the action on. Middleware
+     * added first sees actions first.
+     * @param {...Function} middleware - Middleware functions
+     * @returns {State} This State instance, for chaining
+     * @throws {Error} Throws if a middleware is not a function
+     * @example
+     * // Reject todos without a title
+     * state.use(() => (next) => (action) => {
+     *     if (action.type === "todos/add" && !action.todo.title) {
+     *         throw new Error("A todo needs a title")
+     *     }
+     *     return next(action)
+     * })
+     */
+    use(...middleware) {
+        for (const fn of middleware) {
+            if (typeof fn !== "function") {
+                throw new Error("Error: middleware must be a function")
+            }
+            this.middleware.push(fn)
+        }
+        const api = {
+            getState: () => this.getState(),
+            dispatch: (action) => this.dispatch(action),
+        }
+        this.dispatcher = this.middleware.reduceRight(
+            (next, fn) => fn(api)(next),
+            (action) => this.reduce(action)
+        )
+        return this
+    }
+
+    /**
+     * Dispatches an action through the middleware to the reducers. The keys whose
+     * reducers return a new value are updated in a single setState, then the
+     * action subscriptions are notified.
+     * @param {Object|*} action - Action object with a string `type`, or anything the middleware accepts
+     * @returns {*} What the middleware returns; the action itself without middleware
+     * @throws {Error} Throws if an action reaching the reducers has no string type
+     * @example
+     * state.dispatch({ type: "todos/remove", id: 3 })
+     */
+    dispatch(action) {
+        return this.dispatcher(action)
+    }
+
+    /**
+     * Runs the reducers for an action and notifies its subscriptions
+     * @param {Object} action - Action object
+     * @returns {Object} The action
+     * @private
+     */
+    reduce(action) {
+        if (typeof action !== "object" || action === null || typeof action.type !== "string") {
+            throw new Error("Error: actions must be objects with a string type (functions need the thunk middleware)")
+        }
+        const changes = {}
+        for (const [key, reducer] of this.reducers) {
+            const value = reducer(this.state[key], action, this.state)
+            if (!Object.is(value, this.state[key])) {
+                changes[key] = value
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            this.setState(changes)
+        }
+        for (const listener of [...this.actionListeners]) {
+            if (this.actionListeners.has(listener) && (listener.type === "*" || listener.type === action.type)) {
+                listener.callback(action, this.state)
+            }
+        }
+        return action
+    }
+
+    /**
+     * Subscribes to dispatched actions, called after the reducers handled them
+     * @param {string} type - Action type to watch, or "*" for every action
+     * @param {Function} callback - Called with (action, state)
+     * @returns {Function} Function that removes the subscription
+     * @throws {Error} Throws if callback is not a function
+     * @example
+     * state.onAction("todos/remove", (action) => showToast(`Deleted todo ${action.id}`))
+     */
+    onAction(type, callback) {
+        if (typeof callback !== "function") {
+            throw new Error("Error: callback must be a function")
+        }
+        const listener = { type, callback }
+        this.actionListeners.add(listener)
+        return () => {
+            this.actionListeners.delete(listener)
+        }
+    }
+
     /**
      * Returns the current state object
      * @returns {Object} Current state object
@@ -52,34 +497,98 @@ export class State {
     }
 
     /**
-     * Updates the state with new values
-     * @param {Object} newVal - Object containing new state values to merge
+     * Updates the state with new values. Also accepts a function of the current state
+     * returning the values to merge, or a path and a value, see updatePath.
+     * @param {Object|Function|string|Array} newVal - Object containing new state values to merge,
+     * a function (state) => values, or a path such as "todos[3].completed"
      * @param {boolean} [triggerUpdate=true] - Whether to trigger listeners and update callbacks
+     * (with a path: the value, followed by triggerUpdate)
      * @returns {boolean} True if state was updated successfully, false if newVal is invalid
+     * @throws {Error} Throws if newVal changes a computed key
+     * @example
+     * state.setState({ filter: "active" })
+     * state.setState((prev) => ({ nextId: prev.nextId + 1 }))
+     * state.setState("todos[3].completed", true)
      */
     setState(newVal, triggerUpdate = true) {
+        if (typeof newVal === "string" || Array.isArray(newVal)) {
+            return this.updatePath(...arguments)
+        }
+        if (typeof newVal === "function") {
+            newVal = newVal(this.state)
+        }
         if (typeof newVal !== "object" || newVal === null) {
             return false // Ensure newVal is an object
         }
+        for (const key of Object.keys(newVal)) {
+            // Updates built from a whole state object (like setPath results) carry computed keys unchanged
+            if (this.computed.has(key) && !Object.is(newVal[key], this.state[key])) {
+                throw new Error(`Error: "${key}" is computed and can't be set`)
+            }
+        }
         this.state = { ...this.state, ...newVal } // Add more robust check
+        this.updateComputed()
         if (triggerUpdate) {
             this.update()
             // Trigger DOM re-render
             if (this.updateCallback) {
                 this.updateCallback()
             }
+            for (const callback of [...this.updateCallbacks]) {
+                callback()
+            }
         }
         return true
     }
 
     /**
-     * Executes all registered listener functions
+     * Replaces a nested value. Only the objects and arrays along the path are copied,
+     * so everything else keeps its identity and change detection stays cheap.
+     * Nothing happens if the value is already there. A function value is always called as
+     * an updater; to store a function, return it from one: updatePath(path, () => fn).
+     * @param {string|Array<string|number>} path - Path such as "todos[3].completed", "form.values.email"
+     * or ["todos", 3, "completed"]
+     * @param {*} value - New value, or a function receiving the current value and returning the new one
+     * @param {boolean} [triggerUpdate=true] - Whether to trigger listeners and update callbacks
+     * @returns {boolean} True once the state is up to date
+     * @throws {Error} Throws if the path is empty, leads into a computed key or goes through a primitive value
+     * @example
+     * state.updatePath("todos", (todos) => updateById(todos, 3, { title: "Renamed" }))
+     */
+    updatePath(path, value, triggerUpdate = true) {
+        const [key, ...rest] = toKeys(path)
+        if (key === undefined) {
+            throw new Error("Error: path is empty")
+        }
+        const current = this.state[key]
+        const nextValue = typeof value === "function" ? value(getPath(current, rest)) : value
+        const next = setPath(current, rest, nextValue)
+        if (Object.is(next, current)) {
+            return true
+        }
+        return this.setState({ [key]: next }, triggerUpdate)
+    }
+
+    /**
+     * Executes all registered listener functions, then notifies subscriptions whose slice changed
      * @private
      */
     update() {
         for (const listener of this.listeners) { // Fix: iterate over listeners correctly
             listener()
         }
+        // Copy first: callbacks may unsubscribe (e.g. when a component unmounts)
+        for (const subscription of [...this.subscriptions]) {
+            if (!this.subscriptions.has(subscription)) {
+                continue
+            }
+            const nextValue = subscription.selector(this.state)
+            if (!subscription.isEqual(nextValue, subscription.value)) {
+                const previousValue = subscription.value
+                subscription.value = nextValue
+                subscription.callback(nextValue, previousValue)
+            }
+        }
     }
 }
 